@@ -1,11 +1,27 @@
 import express from 'express';
 import cors from 'cors';
+import swaggerUi from 'swagger-ui-express';
 import userRoutes from './routes/user-routes.js';
 import eventsRoutes from './routes/events-routes.js';
+import calendarRoutes from './routes/calendar-routes.js';
+import webhooksRoutes from './routes/webhooks-routes.js';
+import eventsModel from './models/events-model.js';
+import { buildOpenApiDocument } from './util/openapi.js';
+import logger, { requestLogger } from './util/logger.js';
+import { discardUploadsOnError } from './util/upload.js';
+import { errorHandler, notFoundHandler } from './util/errors.js';
+import { startWebhookWorker } from './util/webhooks.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" for one proxy hop) so req.ip,
+// which rate limits are keyed on, is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // CORS configuration
 const corsOptions = {
   origin: [
@@ -25,28 +41,60 @@ const corsOptions = {
     'X-Requested-With', 
     'Content-Type',
     'Accept',
-    'Authorization'
-  ]
+    'Authorization',
+    'X-Request-Id'
+  ],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 };
 
 // Middleware
+app.use(requestLogger); // Request ID and access log for every request, so it goes first
 app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from public directory
+// Serve static files from public directory (event images when using local storage)
 app.use(express.static('public'));
 
 // Routes
 app.use('/users', userRoutes);
 app.use('/events', eventsRoutes);
+app.use('/calendar', calendarRoutes);
+app.use('/webhooks', webhooksRoutes);
+
+// API documentation: machine-readable spec and interactive docs
+const openApiDocument = buildOpenApiDocument({ serverUrl: process.env.API_BASE_URL });
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/openapi.json' } }));
 
 // Default route
 app.get('/', (req, res) => {
   res.json({ message: 'Demo REST API is running!' });
 });
 
+// Unknown routes and errors get the JSON error envelope (see util/errors.js); keep these last
+app.use(notFoundHandler);
+app.use(discardUploadsOnError); // Remove images stored for a request that then failed
+app.use(errorHandler);
+
+// Keep occurrences of recurring events generated a year ahead
+const refreshOccurrences = () => {
+  try {
+    const seriesCount = eventsModel.refreshAllOccurrences();
+    logger.info('Refreshed recurring event occurrences', { seriesCount });
+  } catch (error) {
+    logger.error('Error refreshing recurring event occurrences', { error });
+  }
+};
+refreshOccurrences();
+setInterval(refreshOccurrences, 24 * 60 * 60 * 1000);
+
+// Send queued webhook deliveries (and retry failed ones) in the background
+startWebhookWorker();
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+  logger.info('Server is running', { port: Number(PORT) });
 });
@@ -0,0 +1,115 @@
+import eventsModel from '../models/events-model.js';
+import userModel from '../models/user-model.js';
+import { hashToken, generateOpaqueToken } from '../util/auth.js';
+import { buildCalendar } from '../util/ical.js';
+import { NotFoundError, parseId, withErrorHandling } from '../util/errors.js';
+
+// Deleted events stay in feeds as cancelled for this many days, so subscribed
+// calendars have time to pick up the cancellation
+const CANCELLATION_RETENTION_DAYS = 30;
+
+// Base URL of this API, used to build feed URLs (defaults to the request host)
+const API_BASE_URL = process.env.API_BASE_URL;
+
+// Helper function to send an iCalendar document
+const sendCalendar = (res, filename, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.status(200).send(calendar);
+};
+
+// Helper function to load recently cancelled events of a feed
+const getCancelledEvents = (userId, feed) => {
+  const since = new Date();
+  since.setDate(since.getDate() - CANCELLATION_RETENTION_DAYS);
+  const cancellations = eventsModel.getCancellations(userId, feed, since.toISOString().replace('T', ' ').slice(0, 19));
+  return cancellations.map(cancellation => ({ ...cancellation, id: cancellation.event_id }));
+};
+
+// Helper function to find the user a feed token belongs to
+const findFeedUser = (token) => {
+  const user = typeof token === 'string' && token !== ''
+    ? userModel.findByCalendarTokenHash(hashToken(token))
+    : null;
+
+  if (!user || user.disabled_at) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+  return user;
+};
+
+const calendarController = {
+  // Download a single event (or a whole series) as .ics (protected route)
+  async getEventCalendar(req, res) {
+    const eventId = parseId(req.params.id);
+    const event = eventsModel.findById(eventId);
+
+    if (!event) {
+      throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+    }
+
+    // A series is exported with its edited occurrences so they replace the generated ones
+    const events = event.recurrence_rule
+      ? [event, ...eventsModel.findOccurrenceOverrides(eventId)]
+      : [event];
+
+    sendCalendar(res, `event-${eventId}.ics`, buildCalendar({ name: event.title, events }));
+  },
+
+  // Create (or replace) the current user's calendar feed token (protected route)
+  async createFeed(req, res) {
+    const token = generateOpaqueToken();
+    const updated = userModel.setCalendarTokenHash(req.user.id, hashToken(token));
+
+    if (!updated) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const baseUrl = API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URLs no longer work.',
+      feeds: {
+        events: `${baseUrl}/calendar/${token}/my-events.ics`,
+        registrations: `${baseUrl}/calendar/${token}/registrations.ics`
+      }
+    });
+  },
+
+  // Disable the current user's calendar feeds (protected route)
+  async revokeFeed(req, res) {
+    userModel.setCalendarTokenHash(req.user.id, null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled'
+    });
+  },
+
+  // Feed of the events a user created (authenticated by the feed token)
+  async getMyEventsFeed(req, res) {
+    const user = findFeedUser(req.params.token);
+
+    sendCalendar(res, 'my-events.ics', buildCalendar({
+      name: 'My events',
+      events: eventsModel.findByUserId(user.id),
+      cancelledEvents: getCancelledEvents(user.id, 'events'),
+      isFeed: true
+    }));
+  },
+
+  // Feed of the events a user registered for (authenticated by the feed token)
+  async getRegistrationsFeed(req, res) {
+    const user = findFeedUser(req.params.token);
+
+    sendCalendar(res, 'registrations.ics', buildCalendar({
+      name: 'My registrations',
+      events: eventsModel.getUserRegistrations(user.id),
+      cancelledEvents: getCancelledEvents(user.id, 'registrations'),
+      isFeed: true
+    }));
+  }
+};
+
+export default withErrorHandling(calendarController);
@@ -0,0 +1,71 @@
+import eventsModel from '../models/events-model.js';
+import userModel from '../models/user-model.js';
+import { deleteUploadedFile } from '../util/upload.js';
+import { isAdmin } from '../util/auth.js';
+import { queueWebhookEvent } from '../util/webhooks.js';
+import { ForbiddenError, NotFoundError } from '../util/errors.js';
+
+// Helpers shared by the event controllers (events, images and registration
+// questions) and by account deletion
+
+/**
+ * Loads an event by ID.
+ * @param {number} eventId - The event ID.
+ * @returns {Object} The event.
+ * @throws {NotFoundError} When there is no such event.
+ */
+export const findEvent = (eventId) => {
+  const event = eventsModel.findById(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+  return event;
+};
+
+/**
+ * Loads an event the user may change (its owner or an admin).
+ * @param {number} eventId - The event ID.
+ * @param {Object} user - The authenticated user (req.user).
+ * @param {string} message - Error message for users who may not change it.
+ * @returns {Object} The event.
+ * @throws {NotFoundError|ForbiddenError}
+ */
+export const findEditableEvent = (eventId, user, message) => {
+  const event = findEvent(eventId);
+  if (event.user_id !== user.id && !isAdmin(user)) {
+    throw new ForbiddenError(message);
+  }
+  return event;
+};
+
+/**
+ * Removes an image file once no event or gallery refers to it anymore
+ * (occurrences of a series share the series images).
+ * @param {string|null} imageUrl - URL of the image.
+ * @param {number|null} [excludeEventId] - An event whose use of the image does not count (e.g. one being deleted).
+ */
+export const deleteImageIfUnused = (imageUrl, excludeEventId = null) => {
+  if (imageUrl && !eventsModel.isImageInUse(imageUrl, excludeEventId)) {
+    deleteUploadedFile(imageUrl.split('/').pop());
+  }
+};
+
+/**
+ * Notifies the event owner's webhooks that someone registered, joined the
+ * waitlist or left.
+ * @param {string} type - registration.created or registration.cancelled.
+ * @param {Object} event - The event (or occurrence) registered for.
+ * @param {number} userId - The registrant.
+ * @param {string} status - 'registered' or 'waitlisted'.
+ * @param {Object} [user] - The registrant's account, when it is already loaded (or deleted).
+ */
+export const queueRegistrationWebhook = (type, event, userId, status, user = userModel.findById(userId)) => {
+  queueWebhookEvent(type, {
+    ownerId: event.user_id,
+    data: {
+      event: { id: event.id, title: event.title, date: event.date, parent_event_id: event.parent_event_id },
+      user: user ? { id: user.id, email: user.email, name: user.name } : { id: userId },
+      status
+    }
+  });
+};
@@ -0,0 +1,120 @@
+import eventImageModel from '../models/event-image-model.js';
+import { getImageUrls } from '../util/upload.js';
+import { deleteImageIfUnused, findEditableEvent, findEvent } from './event-helpers.js';
+import logger from '../util/logger.js';
+import {
+  ValidationError,
+  parseId,
+  throwIfError,
+  withErrorHandling
+} from '../util/errors.js';
+
+// Helper function to normalize a caption (null when empty)
+const sanitizeCaption = (caption) => {
+  if (typeof caption !== 'string') return null;
+  const trimmed = caption.trim().replace(/\s+/g, ' ');
+  return trimmed === '' ? null : trimmed;
+};
+
+// Helper function to load the event in the URL if the current user may change its gallery
+const findGalleryEvent = (req) =>
+  findEditableEvent(parseId(req.params.id), req.user, 'You can only change images of events you created');
+
+const eventImageController = {
+  // Get an event's images in display order
+  async getImages(req, res) {
+    const event = findEvent(parseId(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      images: eventImageModel.getImages(event.id)
+    });
+  },
+
+  // Add uploaded images to an event's gallery (event owner or admin).
+  // Optional fields: captions (one per image, in upload order) and cover=true.
+  // Stored files of a failed request are removed by discardUploadsOnError.
+  async addImages(req, res) {
+    const event = findGalleryEvent(req);
+    const uploadedFiles = req.files || [];
+    const captions = [].concat(req.body.captions ?? []);
+    const validationErrors = [];
+
+    if (uploadedFiles.length === 0) {
+      validationErrors.push({ field: 'images', message: 'At least one image is required (use the "images" field)' });
+    }
+    if (captions.length > uploadedFiles.length) {
+      validationErrors.push({ field: 'captions', message: 'There are more captions than images' });
+    }
+
+    if (validationErrors.length > 0) {
+      throw new ValidationError(validationErrors);
+    }
+
+    const images = uploadedFiles.map((file, index) => ({
+      ...getImageUrls(file),
+      caption: sanitizeCaption(captions[index])
+    }));
+
+    const result = throwIfError(eventImageModel.addImages(event.id, images, {
+      makeCover: req.body.cover === true
+    }));
+
+    logger.info('Event images added', { eventId: event.id, count: images.length });
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      images: result.images
+    });
+  },
+
+  // Change an image's caption or make it the cover (event owner or admin)
+  async updateImage(req, res) {
+    const event = findGalleryEvent(req);
+    const imageId = parseId(req.params.imageId, 'image');
+    const { caption, is_cover } = req.body; // Validated by the UpdateEventImageRequest schema
+
+    const result = throwIfError(eventImageModel.updateImage(event.id, imageId, { caption, is_cover }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Image updated successfully',
+      image: result.image
+    });
+  },
+
+  // Reorder an event's gallery (event owner or admin); body: { order: [imageId, ...] }
+  async reorderImages(req, res) {
+    const event = findGalleryEvent(req);
+    const { order } = req.body; // Validated by the ReorderEventImagesRequest schema
+
+    const result = throwIfError(eventImageModel.reorderImages(event.id, order));
+
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      images: result.images
+    });
+  },
+
+  // Remove an image from an event's gallery (event owner or admin)
+  async deleteImage(req, res) {
+    const event = findGalleryEvent(req);
+    const imageId = parseId(req.params.imageId, 'image');
+
+    const result = throwIfError(eventImageModel.deleteImage(event.id, imageId));
+
+    // Occurrences of a series share its images, so only unused files are removed
+    deleteImageIfUnused(result.image.image_url);
+
+    logger.info('Event image deleted', { eventId: event.id, imageId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+  }
+};
+
+export default withErrorHandling(eventImageController);
@@ -0,0 +1,40 @@
+import eventQuestionModel from '../models/event-question-model.js';
+import { findEditableEvent, findEvent } from './event-helpers.js';
+import { validateQuestions } from '../util/registration-questions.js';
+import logger from '../util/logger.js';
+import { ValidationError, parseId, withErrorHandling } from '../util/errors.js';
+
+const eventQuestionController = {
+  // Get the questions attendees answer when registering for an event
+  async getQuestions(req, res) {
+    const event = findEvent(parseId(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      questions: eventQuestionModel.getQuestions(event.id)
+    });
+  },
+
+  // Replace an event's registration questions (event owner or admin). Answers
+  // already given stay with their registrations.
+  async setQuestions(req, res) {
+    const event = findEditableEvent(parseId(req.params.id), req.user, 'You can only change registration questions of events you created');
+
+    const { errors, questions } = validateQuestions(req.body.questions);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const savedQuestions = eventQuestionModel.setQuestions(event.id, questions);
+
+    logger.info('Registration questions updated', { eventId: event.id, count: savedQuestions.length });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration questions updated successfully',
+      questions: savedQuestions
+    });
+  }
+};
+
+export default withErrorHandling(eventQuestionController);
@@ -0,0 +1,121 @@
+import sessionModel from '../models/session-model.js';
+import userModel from '../models/user-model.js';
+import { subscribeToEventChanges } from '../util/event-bus.js';
+import { isAdmin } from '../util/auth.js';
+import { ValidationError, withErrorHandling } from '../util/errors.js';
+import logger from '../util/logger.js';
+
+// Comment lines keep idle connections (and proxies in between) from timing out;
+// each heartbeat also checks that the user may still receive changes
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Clients reconnect after this many milliseconds when the stream drops
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// setTimeout fires at once for longer delays than this
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Most events a single stream can subscribe to
+const MAX_SUBSCRIBED_EVENTS = 100;
+
+// Helper function to parse ?events=1,2,3 into a set of event IDs (null means all events)
+const parseSubscribedEvents = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const ids = String(value).split(',').map(id => Number(id.trim()));
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new ValidationError([{ field: 'events', message: 'events must be a comma-separated list of event IDs' }], 'Invalid query parameters');
+  }
+  if (ids.length > MAX_SUBSCRIBED_EVENTS) {
+    throw new ValidationError([{ field: 'events', message: `events can list at most ${MAX_SUBSCRIBED_EVENTS} event IDs` }], 'Invalid query parameters');
+  }
+  return new Set(ids);
+};
+
+// Helper function to check that a stream's user may still receive changes: the
+// session must not be revoked (logout, password change) and the account must
+// still exist, be enabled and have the role the token was issued with.
+// Models log their errors; a failed check counts as not allowed.
+const isStillAuthorized = (user) => {
+  try {
+    if (!sessionModel.isSessionActive(user.sid)) {
+      return false;
+    }
+    const account = userModel.findById(user.id);
+    return !!account && !account.disabled_at && account.role === user.role;
+  } catch {
+    return false;
+  }
+};
+
+// Helper function to write one Server-Sent Event
+const writeEvent = (res, type, data, id) => {
+  res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const eventStreamController = {
+  // Stream event changes as Server-Sent Events (protected route).
+  // A change to an occurrence also reaches subscribers of its series.
+  async streamEvents(req, res) {
+    const subscribedEvents = parseSubscribedEvents(req.query.events);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    writeEvent(res, 'ready', {
+      events: subscribedEvents ? [...subscribedEvents] : 'all',
+      tokenExpiresAt: new Date(req.user.exp * 1000).toISOString()
+    });
+
+    // Registration counts are only for the event's owner and admins (as over REST)
+    const seesAllCounts = isAdmin(req.user);
+
+    let changeId = 0;
+    const unsubscribe = subscribeToEventChanges(change => {
+      if (subscribedEvents && !subscribedEvents.has(change.eventId) && !subscribedEvents.has(change.seriesId)) {
+        return;
+      }
+      if (change.type === 'registrations.changed' && !seesAllCounts && change.ownerId !== req.user.id) {
+        return;
+      }
+      writeEvent(res, change.type, change, ++changeId);
+    });
+
+    // A revoked session or changed account ends the stream; clients sign in again
+    const heartbeat = setInterval(() => {
+      if (!isStillAuthorized(req.user)) {
+        writeEvent(res, 'session-ended', { message: 'Session ended or account changed. Sign in again' });
+        res.end();
+        return;
+      }
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // The stream ends with its access token; clients reconnect with a fresh one
+    const tokenExpiry = setTimeout(() => {
+      writeEvent(res, 'token-expired', { message: 'Access token expired. Reconnect with a new token' });
+      res.end();
+    }, Math.min(Math.max(0, req.user.exp * 1000 - Date.now()), MAX_TIMEOUT_MS));
+
+    // The close handler runs outside the request's log context
+    const streamLogger = logger.child({ requestId: req.id, userId: req.user.id });
+    streamLogger.debug('Event stream opened', { events: subscribedEvents ? subscribedEvents.size : 'all' });
+
+    res.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(tokenExpiry);
+      streamLogger.debug('Event stream closed', { changesSent: changeId });
+    });
+  }
+};
+
+export default withErrorHandling(eventStreamController);
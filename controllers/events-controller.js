@@ -1,5 +1,29 @@
 import eventsModel from '../models/events-model.js';
-import { deleteUploadedFile } from '../util/upload.js';
+import eventImageModel from '../models/event-image-model.js';
+import eventQuestionModel from '../models/event-question-model.js';
+import { getImageUrls } from '../util/upload.js';
+import { deleteImageIfUnused, findEditableEvent, findEvent, queueRegistrationWebhook } from './event-helpers.js';
+import { isAdmin } from '../util/auth.js';
+import { normalizeRecurrenceRule, parseExceptionDates } from '../util/recurrence.js';
+import { queueWebhookEvent } from '../util/webhooks.js';
+import { geocodeAddress } from '../util/geocoding.js';
+import { TICKET_FORMATS, createTicketCode, parseTicketCode, renderTicketQrCode, verifyTicketCode } from '../util/tickets.js';
+import { EXPORT_FORMATS, streamExport } from '../util/export.js';
+import { readImportFile } from '../util/import.js';
+import { formatAnswer, validateAnswers } from '../util/registration-questions.js';
+import { validateSchema } from '../util/validation.js';
+import schemas from '../util/schemas.js';
+import logger from '../util/logger.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  parseId,
+  throwIfError,
+  withErrorHandling
+} from '../util/errors.js';
 
 // Helper function to validate date format
 const isValidDate = (dateString) => {
@@ -7,663 +31,973 @@ const isValidDate = (dateString) => {
   return !isNaN(date.getTime());
 };
 
-// Helper function to sanitize text input
-const sanitizeText = (text) => {
-  if (typeof text !== 'string') return '';
-  return text.trim().replace(/\s+/g, ' '); // Remove extra whitespace
+// Event rules that go beyond the request schemas (shared by create and update).
+// The body has already been validated against CreateEventRequest/UpdateEventRequest.
+// Returns { errors, eventData }: errors are { field, message } details and
+// eventData holds the fields normalized for the model.
+const validateEventRules = (body, { currentEvent = null } = {}) => {
+  const errors = [];
+  const eventData = {};
+  const { title, description, address, date, capacity, latitude, longitude, recurrence_rule, recurrence_exdates } = body;
+
+  // Text fields arrive trimmed; an empty optional text clears it
+  if (title !== undefined) eventData.title = title;
+  if (description !== undefined) eventData.description = description || null;
+  if (address !== undefined) eventData.address = address || null;
+
+  if (date !== undefined) {
+    const eventDate = new Date(date);
+    const now = new Date();
+    const oneYearFromNow = new Date();
+    oneYearFromNow.setFullYear(now.getFullYear() + 1);
+
+    // Check if date is in the past
+    if (eventDate <= now) {
+      errors.push({ field: 'date', message: 'Event date must be in the future' });
+    }
+
+    // Check if date is too far in the future (optional business rule)
+    if (eventDate > oneYearFromNow) {
+      errors.push({ field: 'date', message: 'Event date cannot be more than 1 year in the future' });
+    }
+
+    eventData.date = eventDate.toISOString(); // Normalize date format
+  }
+
+  // null removes the limit
+  if (capacity !== undefined) {
+    const registrationCount = currentEvent ? eventsModel.getRegistrationCount(currentEvent.id) : 0;
+    if (capacity !== null && capacity < registrationCount) {
+      errors.push({ field: 'capacity', message: `Capacity cannot be lower than the current number of registrations (${registrationCount})` });
+    }
+    eventData.capacity = capacity;
+  }
+
+  if ((latitude === undefined) !== (longitude === undefined) || (latitude === null) !== (longitude === null)) {
+    errors.push({ field: latitude === undefined || latitude === null ? 'latitude' : 'longitude', message: 'latitude and longitude must be given together' });
+  } else if (latitude !== undefined) {
+    eventData.latitude = latitude;
+    eventData.longitude = longitude;
+  }
+
+  if (recurrence_rule !== undefined) {
+    try {
+      eventData.recurrence_rule = normalizeRecurrenceRule(recurrence_rule);
+    } catch (error) {
+      errors.push({ field: 'recurrence_rule', message: error.message });
+    }
+  }
+
+  if (recurrence_exdates !== undefined) {
+    try {
+      eventData.recurrence_exdates = parseExceptionDates(recurrence_exdates);
+    } catch (error) {
+      errors.push({ field: 'recurrence_exdates', message: error.message });
+    }
+
+    if (!currentEvent?.recurrence_rule && recurrence_rule === undefined) {
+      errors.push({ field: 'recurrence_exdates', message: 'Exception dates require a recurrence rule' });
+    }
+  }
+
+  return { errors, eventData };
 };
 
-// Validation helper functions
-const validateEventData = (eventData) => {
+// Helper function to get what makes two events duplicates of each other:
+// the same title (ignoring case) at the same date and time
+const getDuplicateKey = (event) => `${event.title.toLowerCase()}|${new Date(event.date).getTime()}`;
+
+// Helper function to check one row of an import file with the same rules as
+// POST /events: the request schema, the event rules and duplicate detection
+// against the user's events and the rows before it. Returns { errors, eventData }.
+const validateImportRow = (data, { existingKeys, fileKeys }) => {
+  const errors = validateSchema(schemas.CreateEventRequest, data);
+  if (errors.length > 0) {
+    return { errors, eventData: null };
+  }
+
+  const { errors: ruleErrors, eventData } = validateEventRules(data);
+  if (ruleErrors.length > 0) {
+    return { errors: ruleErrors, eventData: null };
+  }
+
+  const key = getDuplicateKey(eventData);
+  if (existingKeys.has(key)) {
+    return { errors: [{ field: 'title', message: 'You already have an event with the same title at the same date and time' }], eventData: null };
+  }
+  if (fileKeys.has(key)) {
+    return { errors: [{ field: 'title', message: `Same title and date as row ${fileKeys.get(key)}` }], eventData: null };
+  }
+
+  return { errors: [], eventData };
+};
+
+// Helper function to fill in the coordinates of a new or changed address.
+// Coordinates sent by the client win; an address that cannot be geocoded
+// (or is removed) clears them so they never point at the old address.
+const resolveLocation = async (eventData) => {
+  if (eventData.latitude !== undefined || eventData.address === undefined) {
+    return;
+  }
+
+  const location = eventData.address ? await geocodeAddress(eventData.address) : null;
+  eventData.latitude = location?.latitude ?? null;
+  eventData.longitude = location?.longitude ?? null;
+};
+
+// Radius of nearby queries in kilometers
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 500;
+
+// Parse and validate the point and radius of a nearby query (lat, lng, radius)
+const parseNearbyOptions = (query) => {
   const errors = [];
-  const { title, description, address, date } = eventData;
+  const near = { radiusKm: DEFAULT_NEARBY_RADIUS_KM };
+  const { lat, lng, radius } = query;
+
+  const latitude = Number(lat);
+  if (lat === undefined || lat === '' || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+    errors.push({ field: 'lat', message: 'lat must be a latitude between -90 and 90' });
+  } else {
+    near.latitude = latitude;
+  }
 
-  // Title validation
-  if (!title || typeof title !== 'string') {
-    errors.push('Title is required and must be a string');
+  const longitude = Number(lng);
+  if (lng === undefined || lng === '' || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    errors.push({ field: 'lng', message: 'lng must be a longitude between -180 and 180' });
   } else {
-    const sanitizedTitle = sanitizeText(title);
-    if (sanitizedTitle.length < 3) {
-      errors.push('Title must be at least 3 characters long');
+    near.longitude = longitude;
+  }
+
+  if (radius !== undefined) {
+    const value = Number(radius);
+    if (radius === '' || !Number.isFinite(value) || value <= 0 || value > MAX_NEARBY_RADIUS_KM) {
+      errors.push({ field: 'radius', message: `radius must be a number of kilometers greater than 0 and at most ${MAX_NEARBY_RADIUS_KM}` });
+    } else {
+      near.radiusKm = value;
     }
-    if (sanitizedTitle.length > 100) {
-      errors.push('Title must not exceed 100 characters');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid query parameters');
+  }
+
+  return near;
+};
+
+// Helper function to read a stored timestamp as a Date (SQLite's CURRENT_TIMESTAMP
+// format "YYYY-MM-DD HH:MM:SS" is UTC without saying so)
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Registrations read per batch when exporting attendees
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns of attendee exports
+const ATTENDEE_EXPORT_COLUMNS = [
+  { key: 'registration_id', header: 'Registration ID', value: reg => reg.id, width: 16 },
+  { key: 'user_id', header: 'User ID', value: reg => reg.user_id, width: 10 },
+  { key: 'name', header: 'Name', value: reg => reg.name, width: 25 },
+  { key: 'email', header: 'Email', value: reg => reg.email, width: 30 },
+  { key: 'registered_at', header: 'Registered at', value: reg => toDate(reg.registered_at), width: 22 },
+  { key: 'checked_in', header: 'Checked in', value: reg => Boolean(reg.checked_in_at), width: 12 },
+  { key: 'checked_in_at', header: 'Checked in at', value: reg => toDate(reg.checked_in_at), width: 22 }
+];
+
+// Helper function to read the stored answers of a registration or waitlist entry
+const parseStoredAnswers = (stored) => (stored ? JSON.parse(stored) : {});
+
+// Helper function to get the columns of an attendee export: the fixed columns,
+// then the registration answers (one column per question, or an answers object in JSON)
+const getAttendeeExportColumns = (questions, format) => {
+  if (format === 'json') {
+    return [...ATTENDEE_EXPORT_COLUMNS, { key: 'answers', header: 'Answers', value: reg => parseStoredAnswers(reg.answers) }];
+  }
+
+  return [
+    ...ATTENDEE_EXPORT_COLUMNS,
+    ...questions.map(question => ({
+      key: question.key,
+      header: question.label,
+      value: reg => formatAnswer(parseStoredAnswers(reg.answers)[question.key]),
+      width: 30
+    }))
+  ];
+};
+
+// Helper function to read an event's registrations batch by batch, so exports
+// of large events never load every registration at once
+function* readRegistrationBatches(eventId) {
+  let afterId = 0;
+  while (true) {
+    const registrations = eventsModel.getEventRegistrationsAfter(eventId, afterId, EXPORT_BATCH_SIZE);
+    if (registrations.length > 0) {
+      yield registrations;
     }
+    if (registrations.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    afterId = registrations[registrations.length - 1].id;
   }
+}
+
+// Pagination defaults for list endpoints
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parse and validate list query parameters (pagination, filters, sorting).
+// Throws a ValidationError listing every invalid parameter.
+const parseListOptions = (query, { sortFields, allowOwnerFilter = false }) => {
+  const errors = [];
+  const options = { limit: DEFAULT_PAGE_SIZE, offset: 0, sort: 'date' };
+  const { limit, offset, from, to, owner, hasImage, when, sort } = query;
 
-  // Description validation (optional)
-  if (description !== undefined && description !== null) {
-    if (typeof description !== 'string') {
-      errors.push('Description must be a string');
+  if (limit !== undefined) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+      errors.push({ field: 'limit', message: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
     } else {
-      const sanitizedDescription = sanitizeText(description);
-      if (sanitizedDescription.length > 500) {
-        errors.push('Description must not exceed 500 characters');
-      }
+      options.limit = value;
     }
   }
 
-  // Address validation (optional)
-  if (address !== undefined && address !== null) {
-    if (typeof address !== 'string') {
-      errors.push('Address must be a string');
+  if (offset !== undefined) {
+    const value = Number(offset);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field: 'offset', message: 'offset must be a whole number of 0 or more' });
     } else {
-      const sanitizedAddress = sanitizeText(address);
-      if (sanitizedAddress.length > 200) {
-        errors.push('Address must not exceed 200 characters');
-      }
+      options.offset = value;
     }
   }
 
-  // Date validation
-  if (!date) {
-    errors.push('Date is required');
-  } else {
-    if (!isValidDate(date)) {
-      errors.push('Please provide a valid date in ISO format (e.g., 2024-12-25T15:00:00Z)');
+  if (from !== undefined) {
+    if (!isValidDate(from)) {
+      errors.push({ field: 'from', message: 'from must be a valid date in ISO format' });
     } else {
-      const eventDate = new Date(date);
-      const now = new Date();
-      const oneYearFromNow = new Date();
-      oneYearFromNow.setFullYear(now.getFullYear() + 1);
-
-      // Check if date is in the past
-      if (eventDate <= now) {
-        errors.push('Event date must be in the future');
-      }
+      options.from = new Date(from).toISOString();
+    }
+  }
 
-      // Check if date is too far in the future (optional business rule)
-      if (eventDate > oneYearFromNow) {
-        errors.push('Event date cannot be more than 1 year in the future');
-      }
+  if (to !== undefined) {
+    if (!isValidDate(to)) {
+      errors.push({ field: 'to', message: 'to must be a valid date in ISO format' });
+    } else {
+      options.to = new Date(to).toISOString();
+    }
+  }
 
-      // Check if date is reasonable (not before 1900 or after 2100)
-      if (eventDate.getFullYear() < 1900 || eventDate.getFullYear() > 2100) {
-        errors.push('Event date must be between years 1900 and 2100');
-      }
+  if (options.from && options.to && options.from > options.to) {
+    errors.push({ field: 'from', message: 'from must not be later than to' });
+  }
+
+  if (owner !== undefined && allowOwnerFilter) {
+    const value = Number(owner);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push({ field: 'owner', message: 'owner must be a valid user ID' });
+    } else {
+      options.ownerId = value;
+    }
+  }
+
+  if (hasImage !== undefined) {
+    if (hasImage !== 'true' && hasImage !== 'false') {
+      errors.push({ field: 'hasImage', message: 'hasImage must be either true or false' });
+    } else {
+      options.hasImage = hasImage === 'true';
+    }
+  }
+
+  if (when !== undefined) {
+    if (when !== 'upcoming' && when !== 'past') {
+      errors.push({ field: 'when', message: 'when must be either upcoming or past' });
+    } else {
+      options.when = when;
+    }
+  }
+
+  if (sort !== undefined) {
+    const field = sort.startsWith('-') ? sort.slice(1) : sort;
+    if (!sortFields.includes(field)) {
+      errors.push({ field: 'sort', message: `sort must be one of: ${sortFields.join(', ')} (prefix with - for descending)` });
+    } else {
+      options.sort = sort;
     }
   }
 
-  return errors;
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid query parameters');
+  }
+
+  return options;
+};
+
+// Turn free-form search input into a safe FTS5 query: every word is quoted
+// (so operators and punctuation are never interpreted) and prefix-matched
+const buildSearchQuery = (text) => {
+  const terms = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, 10).map(term => `"${term}"*`).join(' ');
+};
+
+// Build paging metadata for list responses
+const buildPagination = (options, total, count) => {
+  const nextOffset = options.offset + count;
+  const hasMore = nextOffset < total;
+  return {
+    total,
+    limit: options.limit,
+    offset: options.offset,
+    count,
+    hasMore,
+    nextOffset: hasMore ? nextOffset : null
+  };
 };
 
 const eventsController = {
   // Create new event (user ownership automatically assigned)
   async createEvent(req, res) {
-    try {
-      const { title, description, address, date } = req.body;
-      const userId = req.user.id; // From JWT middleware - this ensures ownership
-      const uploadedFile = req.file; // From multer middleware
+    const { title } = req.body; // Validated by the CreateEventRequest schema
+    const userId = req.user.id; // From JWT middleware - this ensures ownership
+    const uploadedFile = req.file; // From multer middleware (removed again if the request fails)
 
-      console.log(`User ${userId} (${req.user.email}) creating new event: "${title}"`);
-      if (uploadedFile) {
-        console.log(`Image uploaded: ${uploadedFile.filename}`);
-      }
+    logger.debug('Creating event', { title, image: uploadedFile?.filename });
 
-      // Comprehensive validation
-      const validationErrors = validateEventData({ title, description, address, date });
-      
-      if (validationErrors.length > 0) {
-        // Delete uploaded file if validation fails
-        if (uploadedFile) {
-          deleteUploadedFile(uploadedFile.filename);
-        }
-        
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: validationErrors
-        });
-      }
+    const { errors: validationErrors, eventData } = validateEventRules(req.body);
 
-      // Generate image URL if file was uploaded
-      const imageUrl = uploadedFile ? `/images/${uploadedFile.filename}` : null;
+    if (validationErrors.length > 0) {
+      throw new ValidationError(validationErrors);
+    }
 
-      // Sanitize inputs
-      const sanitizedEventData = {
-        title: sanitizeText(title),
-        description: description ? sanitizeText(description) : null,
-        address: address ? sanitizeText(address) : null,
-        date: new Date(date).toISOString(), // Normalize date format
-        image_url: imageUrl,
-        user_id: userId // OWNERSHIP: Event belongs to authenticated user
-      };
+    const sanitizedEventData = {
+      description: null,
+      address: null,
+      capacity: null,
+      ...eventData,
+      ...(uploadedFile ? getImageUrls(uploadedFile) : {}), // Image variant URLs if a file was uploaded
+      user_id: userId // OWNERSHIP: Event belongs to authenticated user
+    };
+
+    // Check for duplicate events (same title, date, and user)
+    const existingEvents = eventsModel.findByUserId(userId);
+    const duplicateEvent = existingEvents.find(event => getDuplicateKey(event) === getDuplicateKey(sanitizedEventData));
+
+    if (duplicateEvent) {
+      throw new ConflictError('You already have an event with the same title at the same date and time', 'DUPLICATE_EVENT');
+    }
 
-      // Check for duplicate events (same title, date, and user)
-      const existingEvents = eventsModel.findByUserId(userId);
-      const duplicateEvent = existingEvents.find(event => 
-        event.title.toLowerCase() === sanitizedEventData.title.toLowerCase() &&
-        new Date(event.date).getTime() === new Date(sanitizedEventData.date).getTime()
-      );
-
-      if (duplicateEvent) {
-        // Delete uploaded file if duplicate found
-        if (uploadedFile) {
-          deleteUploadedFile(uploadedFile.filename);
-        }
-        
-        return res.status(409).json({
-          success: false,
-          message: 'You already have an event with the same title at the same date and time'
-        });
-      }
+    await resolveLocation(sanitizedEventData);
 
-      // Create new event with automatic ownership assignment
-      const newEvent = eventsModel.createEvent(sanitizedEventData);
+    // Create new event with automatic ownership assignment
+    const newEvent = eventsModel.createEvent(sanitizedEventData);
+    queueWebhookEvent('event.created', { ownerId: userId, data: { event: newEvent } });
 
-      res.status(201).json({
-        success: true,
-        message: 'Event created successfully',
-        event: {
-          ...newEvent,
-          owner: req.user.email // Show who owns this event
-        }
-      });
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      event: {
+        ...newEvent,
+        owner: req.user.email // Show who owns this event
+      }
+    });
+  },
 
-    } catch (error) {
-      console.error('Create event error:', error);
-      
-      // Delete uploaded file if error occurs
-      if (req.file) {
-        deleteUploadedFile(req.file.filename);
+  // Create events from an uploaded CSV or iCalendar file ("file" field). Every
+  // row is checked like POST /events; the events are only saved when all rows
+  // pass, in one transaction. dry_run=true checks the file without saving.
+  async importEvents(req, res) {
+    const userId = req.user.id;
+    const dryRun = req.body.dry_run === true;
+    const rows = readImportFile(req.file, req.body.format);
+
+    logger.debug('Importing events', { filename: req.file.originalname, rows: rows.length, dryRun });
+
+    const existingKeys = new Set(eventsModel.findByUserId(userId).map(getDuplicateKey));
+    const fileKeys = new Map(); // Duplicate key -> row it was first seen on
+    const report = [];
+    const validRows = [];
+
+    for (const { row, data, skipReason } of rows) {
+      const title = typeof data.title === 'string' ? data.title : null;
+      if (skipReason) {
+        report.push({ row, title, status: 'skipped', errors: [{ field: null, message: skipReason }] });
+        continue;
       }
-      
-      // Handle specific database errors
-      if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid user reference'
-        });
+
+      const { errors, eventData } = validateImportRow(data, { existingKeys, fileKeys });
+      if (errors.length > 0) {
+        report.push({ row, title, status: 'invalid', errors });
+        continue;
       }
-      
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+
+      fileKeys.set(getDuplicateKey(eventData), row);
+      report.push({ row, title: eventData.title, status: 'valid', errors: [] });
+      validRows.push({ row, eventData });
     }
-  },
 
-  // Get all events
-  async getAllEvents(req, res) {
-    try {
-      const events = eventsModel.getAllEvents();
+    const summary = {
+      total: rows.length,
+      valid: validRows.length,
+      invalid: report.filter(entry => entry.status === 'invalid').length,
+      skipped: report.filter(entry => entry.status === 'skipped').length
+    };
 
-      res.status(200).json({
+    if (dryRun) {
+      return res.status(200).json({
         success: true,
-        events: events
+        dryRun: true,
+        message: summary.invalid > 0
+          ? `${summary.invalid} row(s) have errors; nothing would be imported`
+          : `${summary.valid} event(s) can be imported`,
+        summary,
+        rows: report
       });
+    }
 
-    } catch (error) {
-      console.error('Get all events error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+    // Nothing is saved unless every row can be
+    if (summary.invalid > 0) {
+      const details = report
+        .filter(entry => entry.status === 'invalid')
+        .flatMap(entry => entry.errors.map(error => ({ field: error.field, message: `Row ${entry.row}: ${error.message}` })));
+      throw new ValidationError(details, `${summary.invalid} row(s) have errors; nothing was imported`);
+    }
+    if (validRows.length === 0) {
+      throw new ValidationError([{ field: 'file', message: 'The file contains no events that can be imported' }]);
     }
-  },
 
-  // Get event by ID
-  async getEventById(req, res) {
-    try {
-      const eventId = parseInt(req.params.id);
+    const eventsData = [];
+    for (const { eventData } of validRows) {
+      const sanitizedEventData = {
+        description: null,
+        address: null,
+        capacity: null,
+        ...eventData,
+        user_id: userId // OWNERSHIP: Imported events belong to the authenticated user
+      };
+      await resolveLocation(sanitizedEventData);
+      eventsData.push(sanitizedEventData);
+    }
 
-      if (isNaN(eventId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid event ID'
-        });
+    const events = eventsModel.importEvents(eventsData);
+    events.forEach(event => queueWebhookEvent('event.created', { ownerId: userId, data: { event } }));
+
+    // Events are created in row order
+    const eventIds = new Map(validRows.map(({ row }, index) => [row, events[index].id]));
+    report.forEach(entry => {
+      if (eventIds.has(entry.row)) {
+        entry.status = 'created';
+        entry.event_id = eventIds.get(entry.row);
       }
+    });
 
-      const event = eventsModel.findById(eventId);
+    logger.info('Events imported', { count: events.length, skipped: summary.skipped });
 
-      if (!event) {
-        return res.status(404).json({
-          success: false,
-          message: 'Event not found'
-        });
-      }
+    res.status(201).json({
+      success: true,
+      message: `${events.length} event(s) imported successfully`,
+      summary,
+      rows: report
+    });
+  },
 
-      res.status(200).json({
-        success: true,
-        event: event
-      });
+  // Get all events (paginated, filterable and sortable)
+  async getAllEvents(req, res) {
+    const options = parseListOptions(req.query, {
+      sortFields: ['date', 'created_at', 'title'],
+      allowOwnerFilter: true
+    });
+
+    const { events, total } = eventsModel.queryEvents(options);
+
+    res.status(200).json({
+      success: true,
+      events: events,
+      pagination: buildPagination(options, total, events.length)
+    });
+  },
 
-    } catch (error) {
-      console.error('Get event by ID error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+  // Get events within a radius of a point (lat, lng, radius in km), nearest first;
+  // supports the same filters, sorting and paging as GET /events
+  async getNearbyEvents(req, res) {
+    const near = parseNearbyOptions(req.query);
+    const options = parseListOptions(req.query, {
+      sortFields: ['distance', 'date', 'created_at', 'title'],
+      allowOwnerFilter: true
+    });
+
+    // Nearest first unless the client asks for another order
+    if (req.query.sort === undefined) {
+      options.sort = 'distance';
     }
+
+    const { events, total } = eventsModel.queryNearbyEvents(near, options);
+
+    res.status(200).json({
+      success: true,
+      center: { latitude: near.latitude, longitude: near.longitude },
+      radiusKm: near.radiusKm,
+      events: events.map(event => ({ ...event, distance_km: Math.round(event.distance_km * 1000) / 1000 })),
+      pagination: buildPagination(options, total, events.length)
+    });
   },
 
-  // Get current user's events
-  async getUserEvents(req, res) {
-    try {
-      const userId = req.user.id; // From JWT middleware
-      const events = eventsModel.findByUserId(userId);
+  // Search events by title, description and address
+  async searchEvents(req, res) {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const matchQuery = buildSearchQuery(q);
 
-      res.status(200).json({
-        success: true,
-        events: events
-      });
+    if (!matchQuery) {
+      throw new BadRequestError('Search query (q) is required');
+    }
 
-    } catch (error) {
-      console.error('Get user events error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+    const options = parseListOptions(req.query, {
+      sortFields: ['relevance', 'date', 'created_at', 'title'],
+      allowOwnerFilter: true
+    });
+
+    // Best matches first unless the client asks for another order
+    if (req.query.sort === undefined) {
+      options.sort = 'relevance';
     }
+
+    const { events, total } = eventsModel.searchEvents(matchQuery, options);
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      events: events.map(({ rank, title_highlight, description_snippet, address_snippet, ...event }) => ({
+        ...event,
+        score: -rank, // bm25 ranks better matches lower
+        highlights: {
+          title: title_highlight,
+          description: description_snippet,
+          address: address_snippet
+        }
+      })),
+      pagination: buildPagination(options, total, events.length)
+    });
+  },
+
+  // Get event by ID
+  async getEventById(req, res) {
+    const eventId = parseId(req.params.id);
+    const event = findEvent(eventId);
+
+    const eventWithImages = { ...event, images: eventImageModel.getImages(eventId) };
+
+    res.status(200).json({
+      success: true,
+      event: event.recurrence_rule
+        ? { ...eventWithImages, upcoming_occurrences: eventsModel.getUpcomingOccurrences(eventId) }
+        : eventWithImages
+    });
+  },
+
+  // Get current user's events (paginated, filterable and sortable)
+  async getUserEvents(req, res) {
+    const userId = req.user.id; // From JWT middleware
+    const options = parseListOptions(req.query, {
+      sortFields: ['date', 'created_at', 'title']
+    });
+
+    const { events, total } = eventsModel.queryEvents({ ...options, ownerId: userId });
+
+    res.status(200).json({
+      success: true,
+      events: events,
+      pagination: buildPagination(options, total, events.length)
+    });
   },
 
   // Update event
   async updateEvent(req, res) {
-    try {
-      const eventId = parseInt(req.params.id);
-      const userId = req.user.id; // From JWT middleware
-      const { title, description, address, date } = req.body;
-
-      if (isNaN(eventId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid event ID'
-        });
+    const eventId = parseId(req.params.id);
+    const userId = req.user.id; // From JWT middleware
+    // For series: which occurrences to change ('series', 'occurrence' or 'following')
+    const { scope = 'series', occurrence } = req.body;
+
+    // Get current event to check ownership and the existing image (admins may edit any event)
+    const currentEvent = findEditableEvent(eventId, req.user, 'You can only update your own events');
+
+    // Validate only provided fields
+    const { errors: validationErrors, eventData: updateData } = validateEventRules(req.body, { currentEvent });
+
+    if (scope !== 'series') {
+      if (!currentEvent.recurrence_rule) {
+        validationErrors.push({ field: 'scope', message: `scope "${scope}" is only available for recurring events` });
+      } else if (occurrence === undefined) {
+        validationErrors.push({ field: 'occurrence', message: 'occurrence must be the ISO start date of the occurrence to change' });
       }
+    }
 
-             // Get current event to check for existing image
-       const currentEvent = eventsModel.findById(eventId);
-       if (!currentEvent) {
-         // Delete uploaded file if event not found
-         if (req.file) {
-           deleteUploadedFile(req.file.filename);
-         }
-         return res.status(404).json({
-           success: false,
-           message: 'Event not found'
-         });
-       }
-
-       // Check ownership
-       if (currentEvent.user_id !== userId) {
-         // Delete uploaded file if not authorized
-         if (req.file) {
-           deleteUploadedFile(req.file.filename);
-         }
-         return res.status(403).json({
-           success: false,
-           message: 'You can only update your own events'
-         });
-       }
-
-       // Validate only provided fields
-       const updateData = {};
-       const validationErrors = [];
-
-       if (title !== undefined) {
-         if (typeof title !== 'string' || sanitizeText(title).length < 3) {
-           validationErrors.push('Title must be at least 3 characters long');
-         } else if (sanitizeText(title).length > 100) {
-           validationErrors.push('Title must not exceed 100 characters');
-         } else {
-           updateData.title = sanitizeText(title);
-         }
-       }
-
-       if (description !== undefined) {
-         if (description !== null && typeof description !== 'string') {
-           validationErrors.push('Description must be a string');
-         } else if (description && sanitizeText(description).length > 500) {
-           validationErrors.push('Description must not exceed 500 characters');
-         } else {
-           updateData.description = description ? sanitizeText(description) : null;
-         }
-       }
-
-       if (address !== undefined) {
-         if (address !== null && typeof address !== 'string') {
-           validationErrors.push('Address must be a string');
-         } else if (address && sanitizeText(address).length > 200) {
-           validationErrors.push('Address must not exceed 200 characters');
-         } else {
-           updateData.address = address ? sanitizeText(address) : null;
-         }
-       }
-
-       if (date !== undefined) {
-         if (!isValidDate(date)) {
-           validationErrors.push('Please provide a valid date in ISO format');
-         } else {
-           const eventDate = new Date(date);
-           const now = new Date();
-           if (eventDate <= now) {
-             validationErrors.push('Event date must be in the future');
-           } else {
-             updateData.date = eventDate.toISOString();
-           }
-         }
-       }
-
-       // Handle image upload
-       if (req.file) {
-         updateData.image_url = `/images/${req.file.filename}`;
-         
-         // Delete old image if it exists
-         if (currentEvent.image_url) {
-           const oldFilename = currentEvent.image_url.split('/').pop();
-           deleteUploadedFile(oldFilename);
-         }
-       }
-
-       if (validationErrors.length > 0) {
-         // Delete uploaded file if validation fails
-         if (req.file) {
-           deleteUploadedFile(req.file.filename);
-         }
-         return res.status(400).json({
-           success: false,
-           message: 'Validation failed',
-           errors: validationErrors
-         });
-       }
-
-              console.log(`User ${userId} (${req.user.email}) attempting to update event ${eventId}`);
-
-       const result = eventsModel.updateEvent(eventId, userId, updateData);
-
-       // Handle different error types
-       if (result.error) {
-         if (result.error === 'EVENT_NOT_FOUND') {
-           return res.status(404).json({
-             success: false,
-             message: result.message
-           });
-         }
-         
-         if (result.error === 'UNAUTHORIZED') {
-           return res.status(403).json({
-             success: false,
-             message: result.message
-           });
-         }
-         
-         return res.status(400).json({
-           success: false,
-           message: result.message
-         });
-       }
-
-       console.log(`Event ${eventId} successfully updated by user ${userId}`);
-
-       res.status(200).json({
-         success: true,
-         message: 'Event updated successfully',
-         event: result.event
-       });
+    if (currentEvent.parent_event_id && (updateData.recurrence_rule || updateData.recurrence_exdates)) {
+      validationErrors.push({ field: 'recurrence_rule', message: 'A single occurrence cannot have its own recurrence rule' });
+    } else if (scope === 'occurrence' && (updateData.recurrence_rule || updateData.recurrence_exdates)) {
+      validationErrors.push({ field: 'recurrence_rule', message: 'Recurrence can only be changed for the series or following occurrences' });
+    }
 
-    } catch (error) {
-      console.error('Update event error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
+    if (validationErrors.length > 0) {
+      throw new ValidationError(validationErrors);
+    }
+
+    await resolveLocation(updateData);
+
+    // Handle image upload
+    if (req.file) {
+      Object.assign(updateData, getImageUrls(req.file));
+    }
+
+    logger.debug('Updating event', { eventId, scope });
+
+    const modelOptions = { isAdmin: isAdmin(req.user) };
+    let result;
+
+    if (scope === 'occurrence') {
+      // Edit one occurrence: it becomes its own event row
+      result = eventsModel.updateOccurrence(eventId, userId, occurrence, updateData, modelOptions);
+    } else if (scope === 'following') {
+      result = eventsModel.splitSeries(eventId, userId, occurrence, updateData, modelOptions);
+    } else {
+      result = eventsModel.updateEvent(eventId, userId, updateData, modelOptions);
+    }
+
+    throwIfError(result);
+    const ownerId = currentEvent.user_id;
+    if (result.previousSeries) {
+      // Splitting a series ends it at the occurrence and starts a new one from there
+      queueWebhookEvent('event.updated', { ownerId, data: { event: result.previousSeries, scope } });
+      queueWebhookEvent('event.created', { ownerId, data: { event: result.event, scope } });
+    } else {
+      queueWebhookEvent('event.updated', { ownerId, data: { event: result.event, scope } });
+    }
+    (result.promotedUserIds ?? []).forEach(promotedUserId => {
+      queueRegistrationWebhook('registration.created', result.event, promotedUserId, 'registered');
+    });
+    // Detached occurrences that followed the change to the series
+    (result.occurrences ?? []).forEach(({ event, promotedUserIds }) => {
+      queueWebhookEvent('event.updated', { ownerId, data: { event, scope } });
+      promotedUserIds.forEach(promotedUserId => {
+        queueRegistrationWebhook('registration.created', event, promotedUserId, 'registered');
       });
+    });
+
+    // Delete old image once nothing refers to it anymore
+    if (req.file) {
+      const previousImage = scope === 'series' ? currentEvent.image_url : null;
+      deleteImageIfUnused(previousImage);
     }
+
+    logger.info('Event updated', { eventId, scope });
+
+    res.status(200).json({
+      success: true,
+      message: 'Event updated successfully',
+      event: result.event
+    });
   },
 
   // Delete event
   async deleteEvent(req, res) {
-    try {
-      const eventId = parseInt(req.params.id);
-      const userId = req.user.id; // From JWT middleware
-
-      if (isNaN(eventId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid event ID'
-        });
-      }
+    const eventId = parseId(req.params.id);
+    const userId = req.user.id; // From JWT middleware
 
-             // Get event to check for image before deletion
-       const eventToDelete = eventsModel.findById(eventId);
-
-       console.log(`User ${userId} (${req.user.email}) attempting to delete event ${eventId}`);
-
-       const result = eventsModel.deleteEvent(eventId, userId);
-
-       // Delete image file if event was successfully deleted
-       if (result.success && eventToDelete && eventToDelete.image_url) {
-         const filename = eventToDelete.image_url.split('/').pop();
-         deleteUploadedFile(filename);
-       }
-
-       // Handle different error types
-       if (result.error) {
-         if (result.error === 'EVENT_NOT_FOUND') {
-           return res.status(404).json({
-             success: false,
-             message: result.message
-           });
-         }
-         
-         if (result.error === 'UNAUTHORIZED') {
-           return res.status(403).json({
-             success: false,
-             message: 'You can only delete events you created'
-           });
-         }
-         
-         return res.status(400).json({
-           success: false,
-           message: result.message
-         });
-       }
-
-       console.log(`Event ${eventId} successfully deleted by user ${userId}`);
-
-             res.status(200).json({
-        success: true,
-        message: result.message
-      });
+    // Collect gallery images (including detached occurrences') before deletion
+    const imageUrls = eventImageModel.findImageUrlsForEvent(eventId);
+    const event = eventsModel.findById(eventId); // For the webhook payload
 
-    } catch (error) {
-      console.error('Delete event error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+    logger.debug('Deleting event', { eventId });
+
+    const result = eventsModel.deleteEvent(eventId, userId, { isAdmin: isAdmin(req.user) });
+
+    if (result.error === 'UNAUTHORIZED') {
+      throw new ForbiddenError('You can only delete events you created');
     }
+    throwIfError(result);
+    queueWebhookEvent('event.deleted', { ownerId: event.user_id, data: { event } });
+
+    // Delete image files now that the event is gone
+    imageUrls.forEach(imageUrl => deleteImageIfUnused(imageUrl));
+
+    logger.info('Event deleted', { eventId });
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
   },
 
   // Register for event
   async registerForEvent(req, res) {
-    try {
-      const eventId = parseInt(req.params.id);
-      const userId = req.user.id;
-
-      if (isNaN(eventId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid event ID'
-        });
-      }
+    const eventId = parseId(req.params.id);
+    const userId = req.user.id;
 
-      console.log(`User ${userId} (${req.user.email}) attempting to register for event ${eventId}`);
+    logger.debug('Registering for event', { eventId });
 
-      const result = eventsModel.registerForEvent(eventId, userId);
+    // Without an occurrence, registering for a series covers every occurrence
+    const { occurrence, answers } = req.body;
 
-      // Handle different error types
-      if (result.error) {
-        const statusCodes = {
-          'EVENT_NOT_FOUND': 404,
-          'SELF_REGISTRATION': 400,
-          'ALREADY_REGISTERED': 409,
-          'EVENT_PAST': 400
-        };
+    // Answers are checked against the questions of the event (or occurrence) registered for.
+    // An occurrence that is not detached yet will get a copy of the series' questions.
+    const detachedOccurrence = occurrence !== undefined ? eventsModel.findOccurrenceInstance(eventId, occurrence) : null;
+    const questions = eventQuestionModel.getQuestions(detachedOccurrence?.id ?? eventId);
+    const { errors: answerErrors, answers: validAnswers } = validateAnswers(questions, answers);
+    if (answerErrors.length > 0) {
+      throw new ValidationError(answerErrors);
+    }
 
-        return res.status(statusCodes[result.error] || 400).json({
-          success: false,
-          message: result.message
-        });
-      }
+    const result = throwIfError(eventsModel.registerForEvent(eventId, userId, questions.length > 0 ? validAnswers : null, { occurrence }));
+    const registrationEventId = (result.registration ?? result.waitlist).event_id;
+    queueRegistrationWebhook(
+      'registration.created',
+      eventsModel.findById(registrationEventId),
+      userId,
+      result.waitlisted ? 'waitlisted' : 'registered'
+    );
 
-      console.log(`User ${userId} successfully registered for event ${eventId}`);
+    if (result.waitlisted) {
+      logger.info('Added to event waitlist', { eventId: registrationEventId, position: result.waitlist.position });
 
-      res.status(201).json({
+      return res.status(202).json({
         success: true,
+        waitlisted: true,
         message: result.message,
-        registration: result.registration
-      });
-
-    } catch (error) {
-      console.error('Register for event error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
+        waitlist: result.waitlist
       });
     }
+
+    logger.info('Registered for event', { eventId: registrationEventId });
+
+    res.status(201).json({
+      success: true,
+      waitlisted: false,
+      message: result.message,
+      registration: {
+        ...result.registration,
+        ticket_code: createTicketCode(result.registration),
+        ticket_url: `/events/${registrationEventId}/ticket` // QR code of the ticket
+      }
+    });
   },
 
   // Unregister from event
   async unregisterFromEvent(req, res) {
-    try {
-      const eventId = parseInt(req.params.id);
-      const userId = req.user.id;
-
-      if (isNaN(eventId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid event ID'
-        });
-      }
+    const eventId = parseId(req.params.id);
+    const userId = req.user.id;
 
-      console.log(`User ${userId} (${req.user.email}) attempting to unregister from event ${eventId}`);
+    logger.debug('Unregistering from event', { eventId });
 
-      const result = eventsModel.unregisterFromEvent(eventId, userId);
+    const result = throwIfError(eventsModel.unregisterFromEvent(eventId, userId));
 
-      // Handle different error types
-      if (result.error) {
-        const statusCodes = {
-          'EVENT_NOT_FOUND': 404,
-          'NOT_REGISTERED': 400
-        };
+    const event = eventsModel.findById(eventId);
+    queueRegistrationWebhook('registration.cancelled', event, userId, result.waitlisted ? 'waitlisted' : 'registered');
+    if (result.promotedUserId) {
+      queueRegistrationWebhook('registration.created', event, result.promotedUserId, 'registered');
+    }
 
-        return res.status(statusCodes[result.error] || 400).json({
-          success: false,
-          message: result.message
-        });
-      }
+    logger.info('Unregistered from event', { eventId });
+    if (result.promotedUserId) {
+      logger.info('Promoted from event waitlist', { eventId, promotedUserId: result.promotedUserId });
+    }
 
-      console.log(`User ${userId} successfully unregistered from event ${eventId}`);
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  },
 
-      res.status(200).json({
-        success: true,
-        message: result.message
-      });
+  // Get event registrations (only for event owner)
+  async getEventRegistrations(req, res) {
+    const eventId = parseId(req.params.id);
+
+    // Check if event exists and user owns it
+    const event = findEditableEvent(eventId, req.user, 'You can only view registrations for your own events');
+
+    const registrations = eventsModel.getEventRegistrations(eventId);
+    const registrationCount = eventsModel.getRegistrationCount(eventId);
+    const checkedInCount = registrations.filter(reg => reg.checked_in_at).length;
+    const waitlist = eventsModel.getEventWaitlist(eventId);
+    const questions = eventQuestionModel.getQuestions(eventId);
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event.id,
+        title: event.title,
+        date: event.date,
+        capacity: event.capacity
+      },
+      registrationCount,
+      checkedInCount,
+      attendanceRate: registrationCount > 0 ? Math.round((checkedInCount / registrationCount) * 1000) / 1000 : null,
+      waitlistCount: waitlist.length,
+      questions,
+      registrations: registrations.map(reg => ({
+        id: reg.id,
+        user: {
+          id: reg.user_id,
+          email: reg.email,
+          name: reg.name
+        },
+        registered_at: reg.registered_at,
+        checked_in_at: reg.checked_in_at,
+        answers: parseStoredAnswers(reg.answers)
+      })),
+      waitlist: waitlist.map((entry, index) => ({
+        id: entry.id,
+        position: index + 1,
+        user: {
+          id: entry.user_id,
+          email: entry.email,
+          name: entry.name
+        },
+        joined_at: entry.joined_at,
+        answers: parseStoredAnswers(entry.answers)
+      }))
+    });
+  },
 
-    } catch (error) {
-      console.error('Unregister from event error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+  // Export an event's attendees as a file download (format=csv, the default,
+  // json or xlsx; event owner or admin)
+  async exportRegistrations(req, res) {
+    const eventId = parseId(req.params.id);
+    const format = req.query.format ?? 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+      throw new ValidationError([{ field: 'format', message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }], 'Invalid query parameters');
     }
+
+    const event = findEditableEvent(eventId, req.user, 'You can only export attendees of your own events');
+
+    logger.info('Exporting event attendees', { eventId, format });
+
+    await streamExport(res, {
+      format,
+      filename: `event-${event.id}-attendees`,
+      columns: getAttendeeExportColumns(eventQuestionModel.getQuestions(event.id), format),
+      batches: readRegistrationBatches(event.id),
+      meta: {
+        event: { id: event.id, title: event.title, date: event.date },
+        exported_at: new Date().toISOString()
+      },
+      rowsKey: 'attendees',
+      sheetName: 'Attendees'
+    });
   },
 
-  // Get event registrations (only for event owner)
-  async getEventRegistrations(req, res) {
-    try {
-      const eventId = parseInt(req.params.id);
-      const userId = req.user.id;
-
-      if (isNaN(eventId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid event ID'
-        });
-      }
+  // Get the current user's ticket for an event as a QR code image
+  // (format=png, the default, or svg) or as JSON with the code (format=json)
+  async getTicket(req, res) {
+    const eventId = parseId(req.params.id);
+    const format = req.query.format ?? 'png';
 
-      // Check if event exists and user owns it
-      const event = eventsModel.findById(eventId);
-      if (!event) {
-        return res.status(404).json({
-          success: false,
-          message: 'Event not found'
-        });
-      }
+    if (format !== 'json' && !TICKET_FORMATS[format]) {
+      throw new ValidationError([{ field: 'format', message: 'format must be one of: png, svg, json' }], 'Invalid query parameters');
+    }
 
-      if (event.user_id !== userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only view registrations for your own events'
-        });
-      }
+    findEvent(eventId);
 
-      const registrations = eventsModel.getEventRegistrations(eventId);
-      const registrationCount = eventsModel.getRegistrationCount(eventId);
+    const registration = eventsModel.findRegistration(eventId, req.user.id);
+    if (!registration) {
+      throw new NotFoundError('You are not registered for this event', 'REGISTRATION_NOT_FOUND');
+    }
 
-      res.status(200).json({
-        success: true,
-        event: {
-          id: event.id,
-          title: event.title,
-          date: event.date
-        },
-        registrationCount,
-        registrations: registrations.map(reg => ({
-          id: reg.id,
-          user: {
-            id: reg.user_id,
-            email: reg.email,
-            name: reg.name
-          },
-          registered_at: reg.registered_at
-        }))
-      });
+    const code = createTicketCode(registration);
 
-    } catch (error) {
-      console.error('Get event registrations error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        ticket: {
+          code,
+          registration_id: registration.id,
+          event_id: registration.event_id,
+          checked_in_at: registration.checked_in_at
+        }
       });
     }
+
+    res.set('Cache-Control', 'private, no-store'); // The image is the ticket
+    res.type(TICKET_FORMATS[format]).send(await renderTicketQrCode(code, format));
   },
 
-  // Get user's registered events
-  async getUserRegistrations(req, res) {
-    try {
-      const userId = req.user.id;
-      
-      const registrations = eventsModel.getUserRegistrations(userId);
+  // Check in an attendee by their ticket code (event owner or admin).
+  // Each ticket can be checked in once.
+  async checkIn(req, res) {
+    const eventId = parseId(req.params.id);
+    const event = findEditableEvent(eventId, req.user, 'You can only check in attendees of your own events');
+    const { code } = req.body; // Validated by the CheckInRequest schema
 
-      res.status(200).json({
-        success: true,
-        message: 'Your registered events',
-        registrations: registrations.map(reg => ({
-          registration_id: reg.id,
-          registered_at: reg.registered_at,
-          event: {
-            id: reg.id,
-            title: reg.title,
-            description: reg.description,
-            address: reg.address,
-            date: reg.date,
-            owner: {
-              email: reg.owner_email,
-              name: reg.owner_name
-            }
-          }
-        }))
-      });
+    const ticket = parseTicketCode(code);
+    if (!ticket) {
+      throw new BadRequestError('Invalid ticket code', 'INVALID_TICKET');
+    }
 
-    } catch (error) {
-      console.error('Get user registrations error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+    // A signature can only be checked against an existing registration
+    const registration = eventsModel.findRegistrationById(ticket.registrationId);
+    if (!registration) {
+      throw new NotFoundError('This ticket is not valid: the registration does not exist or was cancelled', 'TICKET_NOT_FOUND');
+    }
+    if (!verifyTicketCode(code, registration)) {
+      throw new BadRequestError('Invalid ticket code', 'INVALID_TICKET');
     }
+    if (registration.event_id !== event.id) {
+      throw new BadRequestError('This ticket is for another event', 'INVALID_TICKET');
+    }
+
+    const result = throwIfError(eventsModel.checkIn(registration.id, req.user.id));
+
+    logger.info('Attendee checked in', { eventId, registrationId: registration.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      registration: {
+        id: result.registration.id,
+        user: {
+          id: result.registration.user_id,
+          email: result.registration.email,
+          name: result.registration.name
+        },
+        registered_at: result.registration.registered_at,
+        checked_in_at: result.registration.checked_in_at
+      }
+    });
+  },
+
+  // Get user's registered events (paginated, filterable and sortable)
+  async getUserRegistrations(req, res) {
+    const userId = req.user.id;
+    const options = parseListOptions(req.query, {
+      sortFields: ['date', 'created_at', 'title', 'registered_at'],
+      allowOwnerFilter: true
+    });
+
+    const { registrations, total } = eventsModel.queryUserRegistrations(userId, options);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your registered events',
+      pagination: buildPagination(options, total, registrations.length),
+      registrations: registrations.map(reg => ({
+        registration_id: reg.registration_id,
+        registered_at: reg.registered_at,
+        checked_in_at: reg.checked_in_at,
+        answers: parseStoredAnswers(reg.answers),
+        ticket_code: createTicketCode({ id: reg.registration_id, event_id: reg.id, user_id: userId }),
+        event: {
+          id: reg.id,
+          title: reg.title,
+          description: reg.description,
+          address: reg.address,
+          date: reg.date,
+          owner: {
+            email: reg.owner_email,
+            name: reg.owner_name
+          }
+        }
+      }))
+    });
   }
 };
 
-export default eventsController; 
\ No newline at end of file
+export default withErrorHandling(eventsController);
@@ -1,201 +1,509 @@
 import userModel from '../models/user-model.js';
-import { generateJWT } from '../util/auth.js';
+import {
+  createAuthSession,
+  rotateAuthSession,
+  hashToken,
+  generateOpaqueToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  ROLES
+} from '../util/auth.js';
+import sessionModel from '../models/session-model.js';
+import passwordResetModel from '../models/password-reset-model.js';
+import { sendMail } from '../util/mailer.js';
+import eventImageModel from '../models/event-image-model.js';
+import eventsModel from '../models/events-model.js';
+import { queueRegistrationWebhook } from './event-helpers.js';
+import { deleteUploadedFile } from '../util/upload.js';
+import logger from '../util/logger.js';
+import { getLoginLockout, recordLoginFailure, clearLoginFailures } from '../util/rate-limit.js';
+import {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  parseId,
+  throwIfError,
+  withErrorHandling
+} from '../util/errors.js';
 
-// Helper function to validate email format
-const isValidEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+// Password reset links are valid for this many minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Base URL of the frontend, used to build links in emails
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:5173';
+
+// Helper function to email a verification link; failures are logged, not thrown,
+// so a mail outage does not break signup or profile updates
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = generateEmailVerificationToken(user);
+    const verifyUrl = `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        verifyUrl,
+        '',
+        'Your app can complete verification by calling GET /users/verify?token=<token>.'
+      ].join('\n')
+    });
+  } catch (error) {
+    logger.error('Error sending verification email', { error });
+  }
 };
 
-const userController = {
-  // User signup
-  async signup(req, res) {
-    try {
-      const { email, password, name } = req.body;
-
-      // Validation
-      if (!email || !password) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email and password are required'
-        });
-      }
+// Helper function to strip the password hash from a user record
+const toPublicUser = (user) => {
+  const { password: _, ...userWithoutPassword } = user;
+  return userWithoutPassword;
+};
 
-      if (!isValidEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Please provide a valid email address'
-        });
-      }
+// Helper function to load a user that must exist
+const findUserOrFail = (id) => {
+  const user = userModel.findById(id);
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+  }
+  return user;
+};
 
-      if (password.length < 6) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password must be at least 6 characters long'
-        });
-      }
+// Helper function to turn a unique email constraint failure into a 409
+const rethrowEmailTaken = (error) => {
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+    throw new ConflictError('User with this email already exists', 'EMAIL_TAKEN');
+  }
+  throw error;
+};
 
-      // Check if user already exists
-      const existingUser = userModel.findByEmail(email);
-      if (existingUser) {
-        return res.status(409).json({
-          success: false,
-          message: 'User with this email already exists'
-        });
-      }
+// Helper function to look up a user that may still hold a session
+const findActiveUser = (id) => {
+  const user = userModel.findById(id);
+  return user && !user.disabled_at ? user : null;
+};
 
-      // Create new user
-      const newUser = await userModel.createUser({ email, password, name });
-      
-      // Generate JWT token
-      const token = generateJWT(newUser);
-      
-      // Return user without password
-      const { password: _, ...userResponse } = newUser;
-      
-      res.status(201).json({
-        success: true,
-        message: 'User created successfully',
-        user: userResponse,
-        token: token
-      });
+const userController = {
+  // User signup
+  async signup(req, res) {
+    const { email, password, name } = req.body;
 
-    } catch (error) {
-      console.error('Signup error:', error);
-      
-      // Handle specific database errors
-      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-        return res.status(409).json({
-          success: false,
-          message: 'User with this email already exists'
-        });
-      }
-      
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+    // Check if user already exists
+    const existingUser = userModel.findByEmail(email);
+    if (existingUser) {
+      throw new ConflictError('User with this email already exists', 'EMAIL_TAKEN');
     }
+
+    // Create new user (the unique index catches concurrent signups)
+    const newUser = await userModel.createUser({ email, password, name }).catch(rethrowEmailTaken);
+    await sendVerificationEmail(newUser);
+    
+    // Start a session with an access and refresh token pair
+    const { token, refreshToken, refreshTokenExpiresAt } = createAuthSession(newUser);
+    
+    // Return user without password
+    const { password: _, ...userResponse } = newUser;
+    
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully. Please check your email to verify your address',
+      user: userResponse,
+      token: token,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
   },
 
   // User login
   async login(req, res) {
-    try {
-      const { email, password } = req.body;
-
-      // Validation
-      if (!email || !password) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email and password are required'
-        });
-      }
+    const { email, password } = req.body;
 
-      // Validate credentials
-      const user = await userModel.validateCredentials(email, password);
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid email or password'
-        });
-      }
+    // Accounts are locked for a while after repeated failed logins
+    const lockedFor = await getLoginLockout(email);
+    if (lockedFor > 0) {
+      throw new TooManyRequestsError(
+        `Too many failed login attempts. Try again in ${lockedFor} seconds`,
+        { retryAfter: lockedFor, code: 'ACCOUNT_LOCKED' }
+      );
+    }
 
-      // Generate JWT token
-      const token = generateJWT(user);
+    // Validate credentials
+    const user = await userModel.validateCredentials(email, password);
+    
+    if (!user) {
+      await recordLoginFailure(email);
+      throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
+    }
 
-      res.status(200).json({
-        success: true,
-        message: 'Login successful',
-        user: user,
-        token: token
-      });
+    await clearLoginFailures(email);
 
-    } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+    if (user.disabled_at) {
+      throw new ForbiddenError('This account has been disabled', 'ACCOUNT_DISABLED');
     }
+
+    // Start a session with an access and refresh token pair
+    const { token, refreshToken, refreshTokenExpiresAt } = createAuthSession(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      user: user,
+      token: token,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
   },
 
-  // Get all users (for admin/testing purposes)
+  // Exchange a refresh token for a new token pair (refresh tokens are single use)
+  async refresh(req, res) {
+    const { refreshToken } = req.body;
+
+    const result = rotateAuthSession(refreshToken, findActiveUser);
+
+    if (result.error === 'REFRESH_TOKEN_REUSED') {
+      logger.warn('Refresh token reuse detected, session revoked');
+    }
+    throwIfError(result);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt
+    });
+  },
+
+  // Log out of the current session (protected route)
+  async logout(req, res) {
+    sessionModel.revokeSession(req.user.sid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  },
+
+  // Log out of every session of the current user (protected route)
+  async logoutAll(req, res) {
+    const revokedCount = sessionModel.revokeAllUserSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revokedSessions: revokedCount
+    });
+  },
+
+  // Get all users (admin only)
   async getAllUsers(req, res) {
-    try {
-      const users = userModel.getAllUsers();
-      
-      // Remove passwords from response
-      const usersWithoutPasswords = users.map(user => {
-        const { password: _, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-      });
+    const users = userModel.getAllUsers();
+    
+    // Remove passwords from response
+    const usersWithoutPasswords = users.map(toPublicUser);
 
-      res.status(200).json({
-        success: true,
-        users: usersWithoutPasswords
-      });
+    res.status(200).json({
+      success: true,
+      users: usersWithoutPasswords
+    });
+  },
+
+  // Verify an email address from the emailed link (public route)
+  async verifyEmail(req, res) {
+    const { token } = req.query;
 
+    if (!token || typeof token !== 'string') {
+      throw new BadRequestError('Verification token is required');
+    }
+
+    let payload;
+    try {
+      payload = verifyEmailVerificationToken(token);
     } catch (error) {
-      console.error('Get users error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+      throw new BadRequestError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    // Fails when the address changed after the link was sent
+    const user = userModel.markEmailVerified(payload.id, payload.email);
+    if (!user) {
+      throw new BadRequestError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user: toPublicUser(user)
+    });
+  },
+
+  // Send a new verification email to the current user (protected route)
+  async resendVerification(req, res) {
+    const user = findUserOrFail(req.user.id);
+
+    if (user.email_verified_at) {
+      throw new BadRequestError('Your email address is already verified', 'ALREADY_VERIFIED');
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  },
+
+  // Request a password reset email (public route)
+  async forgotPassword(req, res) {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = userModel.findByEmail(email);
+    if (!user || user.disabled_at) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const token = generateOpaqueToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    passwordResetModel.createToken(user.id, hashToken(token), expiresAt.toISOString());
+
+    const resetUrl = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+
+    res.status(200).json(genericResponse);
+  },
+
+  // Set a new password using a reset token (public route)
+  async resetPassword(req, res) {
+    const { token, password } = req.body;
+
+    const result = throwIfError(passwordResetModel.consumeToken(hashToken(token)));
+
+    const user = await userModel.updateUser(result.userId, { password });
+    if (!user) {
+      throw new BadRequestError('Invalid or already used reset token', 'INVALID_RESET_TOKEN');
     }
+
+    // Whoever knew the old password should not stay signed in
+    sessionModel.revokeAllUserSessions(user.id, 'PASSWORD_RESET');
+    logger.info('Password reset completed', { userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password'
+    });
+  },
+
+  // Disable a user account and end all of its sessions (admin only)
+  async disableUser(req, res) {
+    const targetId = parseId(req.params.id, 'user');
+
+    if (targetId === req.user.id) {
+      throw new BadRequestError('You cannot disable your own account');
+    }
+
+    const user = userModel.setDisabled(targetId, true);
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    sessionModel.revokeAllUserSessions(targetId, 'ACCOUNT_DISABLED');
+    logger.info('User disabled by admin', { targetUserId: targetId });
+
+    res.status(200).json({
+      success: true,
+      message: 'User disabled successfully',
+      user: toPublicUser(user)
+    });
+  },
+
+  // Re-enable a disabled user account (admin only)
+  async enableUser(req, res) {
+    const targetId = parseId(req.params.id, 'user');
+
+    const user = userModel.setDisabled(targetId, false);
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    logger.info('User enabled by admin', { targetUserId: targetId });
+
+    res.status(200).json({
+      success: true,
+      message: 'User enabled successfully',
+      user: toPublicUser(user)
+    });
+  },
+
+  // Change a user's role (admin only)
+  async setUserRole(req, res) {
+    const targetId = parseId(req.params.id, 'user');
+    const { role } = req.body;
+
+    if (targetId === req.user.id && role !== ROLES.ADMIN) {
+      throw new BadRequestError('You cannot remove your own admin role');
+    }
+
+    const user = userModel.setRole(targetId, role);
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    // Existing tokens carry the old role, so make the user sign in again
+    sessionModel.revokeAllUserSessions(targetId, 'ROLE_CHANGED');
+    logger.info('User role changed by admin', { targetUserId: targetId, role });
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user: toPublicUser(user)
+    });
   },
 
   // Get current user profile (protected route)
   async getCurrentUser(req, res) {
-    try {
-      // req.user comes from the authenticateToken middleware
-      const userId = req.user.id;
-      const user = userModel.findById(userId);
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
+    // req.user comes from the authenticateToken middleware
+    const user = findUserOrFail(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      user: toPublicUser(user)
+    });
+  },
+
+  // Update current user's name and email (protected route)
+  async updateProfile(req, res) {
+    const userId = req.user.id;
+    const { name, email } = req.body; // Trimmed by the UpdateProfileRequest schema
+    const updateData = {};
+
+    if (name !== undefined) updateData.name = name;
+    if (email !== undefined) updateData.email = email;
+
+    // Check that the new email is not taken by someone else
+    if (updateData.email) {
+      const existingUser = userModel.findByEmail(updateData.email);
+      if (existingUser && existingUser.id !== userId) {
+        throw new ConflictError('User with this email already exists', 'EMAIL_TAKEN');
       }
+    }
 
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+    const currentUser = findUserOrFail(userId);
 
-      res.status(200).json({
-        success: true,
-        user: userWithoutPassword
-      });
+    let user = await userModel.updateUser(userId, updateData).catch(rethrowEmailTaken);
 
-    } catch (error) {
-      console.error('Get current user error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
+    // A new address has to be verified again
+    const emailChanged = updateData.email && updateData.email !== currentUser.email;
+    if (emailChanged) {
+      userModel.clearEmailVerified(userId);
+      user = userModel.findById(userId);
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address'
+        : 'Profile updated successfully',
+      user: toPublicUser(user)
+    });
+  },
+
+  // Change current user's password (protected route)
+  async changePassword(req, res) {
+    const userId = req.user.id;
+    const { currentPassword, newPassword } = req.body;
+
+    const user = findUserOrFail(userId);
+
+    const validUser = await userModel.verifyCredentials(user.email, currentPassword);
+    if (!validUser) {
+      throw new AuthenticationError('Current password is incorrect', 'INVALID_CREDENTIALS');
+    }
+
+    await userModel.updateUser(userId, { password: newPassword });
+
+    // Sign out every other device; the current session stays valid
+    sessionModel.revokeOtherUserSessions(userId, req.user.sid, 'PASSWORD_CHANGED');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  },
+
+  // Delete current user's account after password confirmation (protected route)
+  async deleteAccount(req, res) {
+    const userId = req.user.id;
+    const { password } = req.body;
+
+    const user = findUserOrFail(userId);
+
+    const validUser = await userModel.verifyCredentials(user.email, password);
+    if (!validUser) {
+      throw new AuthenticationError('Password is incorrect', 'INVALID_CREDENTIALS');
+    }
+
+    // Collect event images before the cascade removes the event rows
+    const imageUrls = eventImageModel.findImageUrlsByUserId(userId);
+
+    const result = userModel.deleteUser(userId);
+    if (!result) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    // Organizers hear about the freed seats and who moved up from the waitlist
+    for (const { eventId, promotedUserIds } of result.releasedRegistrations) {
+      const event = eventsModel.findById(eventId);
+      queueRegistrationWebhook('registration.cancelled', event, userId, 'registered', user);
+      promotedUserIds.forEach(promotedUserId => {
+        queueRegistrationWebhook('registration.created', event, promotedUserId, 'registered');
       });
     }
+
+    imageUrls.forEach(imageUrl => deleteUploadedFile(imageUrl.split('/').pop()));
+    logger.info('Account deleted');
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
   },
 
   // Test token validity (debug endpoint)
   async testToken(req, res) {
-    try {
-      res.status(200).json({
-        success: true,
-        message: 'Token is valid!',
-        tokenData: {
-          userId: req.user.id,
-          email: req.user.email,
-          iat: new Date(req.user.iat * 1000).toISOString(),
-          exp: new Date(req.user.exp * 1000).toISOString()
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Error testing token'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Token is valid!',
+      tokenData: {
+        userId: req.user.id,
+        email: req.user.email,
+        role: req.user.role,
+        iat: new Date(req.user.iat * 1000).toISOString(),
+        exp: new Date(req.user.exp * 1000).toISOString()
+      }
+    });
   }
 };
 
-export default userController; 
\ No newline at end of file
+export default withErrorHandling(userController);
@@ -0,0 +1,232 @@
+import webhookModel from '../models/webhook-model.js';
+import { isAdmin } from '../util/auth.js';
+import { checkWebhookUrl, generateWebhookSecret, wakeWebhookWorker } from '../util/webhooks.js';
+import logger from '../util/logger.js';
+import {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  parseId,
+  throwIfError,
+  withErrorHandling
+} from '../util/errors.js';
+
+// Pagination defaults for the delivery log
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Helper function to shape a webhook for responses (the secret is only shown
+// when it was just generated)
+const toWebhookResponse = (webhook, { includeSecret = false } = {}) => {
+  const { secret, events, active, ...fields } = webhook;
+  return {
+    ...fields,
+    events: events.split(','),
+    active: Boolean(active),
+    ...(includeSecret ? { secret } : {})
+  };
+};
+
+// Helper function to shape a single delivery for responses (payload parsed, lease hidden)
+const toDeliveryResponse = (delivery) => {
+  const { payload, locked_until, ...fields } = delivery;
+  return { ...fields, payload: JSON.parse(payload) };
+};
+
+// Helper function to refuse URLs the webhook worker would not deliver to
+const assertDeliverableUrl = (url) => {
+  const problem = url === undefined ? null : checkWebhookUrl(url);
+  if (problem) {
+    throw new ValidationError([{ field: 'url', message: problem }]);
+  }
+};
+
+// Helper function to load a webhook the current user may manage (owner or admin)
+const findManageableWebhook = (req) => {
+  const webhook = webhookModel.findById(parseId(req.params.id, 'webhook'));
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+  }
+
+  if (webhook.user_id !== req.user.id && !isAdmin(req.user)) {
+    throw new ForbiddenError('You can only manage webhooks you created');
+  }
+
+  return webhook;
+};
+
+// Helper function to parse the delivery log query (limit, offset, status)
+const parseDeliveryListOptions = (query) => {
+  const errors = [];
+  const options = { limit: DEFAULT_PAGE_SIZE, offset: 0, status: null };
+  const { limit, offset, status } = query;
+
+  if (limit !== undefined) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+      errors.push({ field: 'limit', message: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
+    } else {
+      options.limit = value;
+    }
+  }
+
+  if (offset !== undefined) {
+    const value = Number(offset);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field: 'offset', message: 'offset must be a whole number of 0 or more' });
+    } else {
+      options.offset = value;
+    }
+  }
+
+  if (status !== undefined) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      errors.push({ field: 'status', message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    } else {
+      options.status = status;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid query parameters');
+  }
+
+  return options;
+};
+
+const webhookController = {
+  // Register a webhook endpoint for the current user. The signing secret is only
+  // returned here (and when it is rotated).
+  async createWebhook(req, res) {
+    const { url, events, description } = req.body;
+    assertDeliverableUrl(url);
+
+    const webhook = webhookModel.createWebhook({
+      userId: req.user.id,
+      url,
+      secret: generateWebhookSecret(),
+      events,
+      description: description || null
+    });
+
+    logger.info('Webhook created', { webhookId: webhook.id, events });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now: it is not shown again',
+      webhook: toWebhookResponse(webhook, { includeSecret: true })
+    });
+  },
+
+  // Get the current user's webhooks
+  async getWebhooks(req, res) {
+    const webhooks = webhookModel.findByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      webhooks: webhooks.map(webhook => toWebhookResponse(webhook))
+    });
+  },
+
+  // Get a webhook (owner or admin)
+  async getWebhookById(req, res) {
+    const webhook = findManageableWebhook(req);
+
+    res.status(200).json({
+      success: true,
+      webhook: toWebhookResponse(webhook)
+    });
+  },
+
+  // Update a webhook's URL, event types, description or active flag, or rotate
+  // its secret (owner or admin)
+  async updateWebhook(req, res) {
+    const webhook = findManageableWebhook(req);
+    const { url, events, description, active, rotate_secret } = req.body;
+    assertDeliverableUrl(url);
+
+    const updatedWebhook = webhookModel.updateWebhook(webhook.id, {
+      url,
+      events,
+      description: description === undefined ? undefined : description || null,
+      active,
+      secret: rotate_secret ? generateWebhookSecret() : undefined
+    });
+
+    logger.info('Webhook updated', { webhookId: webhook.id, rotated: Boolean(rotate_secret) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook: toWebhookResponse(updatedWebhook, { includeSecret: Boolean(rotate_secret) })
+    });
+  },
+
+  // Delete a webhook and its delivery log (owner or admin)
+  async deleteWebhook(req, res) {
+    const webhook = findManageableWebhook(req);
+    webhookModel.deleteWebhook(webhook.id);
+
+    logger.info('Webhook deleted', { webhookId: webhook.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  },
+
+  // Get a page of a webhook's deliveries, newest first (owner or admin)
+  async getDeliveries(req, res) {
+    const webhook = findManageableWebhook(req);
+    const options = parseDeliveryListOptions(req.query);
+    const { deliveries, total } = webhookModel.queryDeliveries(webhook.id, options);
+    const nextOffset = options.offset + deliveries.length;
+    const hasMore = nextOffset < total;
+
+    res.status(200).json({
+      success: true,
+      deliveries,
+      pagination: {
+        total,
+        limit: options.limit,
+        offset: options.offset,
+        count: deliveries.length,
+        hasMore,
+        nextOffset: hasMore ? nextOffset : null
+      }
+    });
+  },
+
+  // Get a delivery with its payload and every attempt (owner or admin)
+  async getDeliveryById(req, res) {
+    const webhook = findManageableWebhook(req);
+    const delivery = webhookModel.findDelivery(webhook.id, parseId(req.params.deliveryId, 'delivery'));
+    if (!delivery) {
+      throw new NotFoundError('Delivery not found', 'DELIVERY_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      delivery: toDeliveryResponse(delivery)
+    });
+  },
+
+  // Send a succeeded or failed delivery again, with a fresh set of retries (owner or admin)
+  async redeliver(req, res) {
+    const webhook = findManageableWebhook(req);
+    const result = throwIfError(webhookModel.redeliver(webhook.id, parseId(req.params.deliveryId, 'delivery')));
+
+    logger.info('Webhook delivery queued again', { webhookId: webhook.id, deliveryId: result.delivery.id });
+    wakeWebhookWorker();
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued',
+      delivery: toDeliveryResponse(result.delivery)
+    });
+  }
+};
+
+export default withErrorHandling(webhookController);
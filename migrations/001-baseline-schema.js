@@ -0,0 +1,224 @@
+import logger from '../util/logger.js';
+
+// Baseline schema: everything that existed before versioned migrations.
+// Databases created by older versions of the app may already have some of these
+// tables and columns, so this migration only creates what is missing. Later
+// migrations can assume the full baseline schema.
+
+// Columns added to existing tables over time, in the order they were introduced
+const LEGACY_COLUMNS = {
+  users: {
+    role: "TEXT NOT NULL DEFAULT 'user'",
+    disabled_at: 'DATETIME',
+    email_verified_at: 'DATETIME',
+    calendar_token_hash: 'TEXT'
+  },
+  events: {
+    image_url: 'TEXT',
+    capacity: 'INTEGER',
+    recurrence_rule: 'TEXT',
+    recurrence_exdates: 'TEXT',
+    recurrence_end: 'DATETIME',
+    parent_event_id: 'INTEGER REFERENCES events (id) ON DELETE CASCADE',
+    recurrence_id: 'DATETIME',
+    sequence: 'INTEGER NOT NULL DEFAULT 0'
+  }
+};
+
+// Add any columns an older database is missing
+const addMissingColumns = (db) => {
+  for (const [tableName, columns] of Object.entries(LEGACY_COLUMNS)) {
+    const tableInfo = db.prepare(`PRAGMA table_info(${tableName})`).all();
+    for (const [columnName, definition] of Object.entries(columns)) {
+      if (!tableInfo.some(column => column.name === columnName)) {
+        logger.info('Adding missing column', { table: tableName, column: columnName });
+        db.prepare(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`).run();
+      }
+    }
+  }
+};
+
+export function up(db) {
+  const searchTableExists = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'events_fts'"
+  ).get();
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      name TEXT DEFAULT '',
+      role TEXT NOT NULL DEFAULT 'user',
+      disabled_at DATETIME,
+      email_verified_at DATETIME,
+      calendar_token_hash TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT,
+      address TEXT,
+      date DATETIME NOT NULL,
+      image_url TEXT,
+      capacity INTEGER,
+      recurrence_rule TEXT,
+      recurrence_exdates TEXT,
+      recurrence_end DATETIME,
+      parent_event_id INTEGER REFERENCES events (id) ON DELETE CASCADE,
+      recurrence_id DATETIME,
+      sequence INTEGER NOT NULL DEFAULT 0,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS event_registrations (
+      id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      registered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      UNIQUE(event_id, user_id)
+    );
+  `);
+
+  addMissingColumns(db);
+
+  db.exec(`
+    -- SQLite cannot add a UNIQUE column, so uniqueness comes from an index
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token_hash ON users (calendar_token_hash);
+
+    CREATE TABLE IF NOT EXISTS event_waitlist (
+      id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      UNIQUE(event_id, user_id)
+    );
+
+    -- Recurring series are expanded into rows here so list queries can page over them
+    CREATE TABLE IF NOT EXISTS event_occurrences (
+      id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      starts_at DATETIME NOT NULL,
+      FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+      UNIQUE(event_id, starts_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_event_occurrences_starts_at ON event_occurrences (starts_at);
+
+    -- One row per thing that happens: single events and detached instances as they
+    -- are, recurring series once per generated occurrence
+    CREATE VIEW IF NOT EXISTS event_listing AS
+      SELECT e.*, e.date AS occurrence_date
+      FROM events e
+      WHERE e.recurrence_rule IS NULL
+      UNION ALL
+      SELECT e.*, o.starts_at AS occurrence_date
+      FROM event_occurrences o
+      JOIN events e ON e.id = o.event_id
+      WHERE e.recurrence_rule IS NOT NULL;
+
+    -- Deleted events are kept here for a while so calendar feeds can publish them as cancelled
+    CREATE TABLE IF NOT EXISTS event_cancellations (
+      id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      feed TEXT NOT NULL,
+      title TEXT NOT NULL,
+      date DATETIME NOT NULL,
+      sequence INTEGER NOT NULL DEFAULT 0,
+      cancelled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- A session is one login; its refresh tokens form a rotation family
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      revoked_reason TEXT,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- Only token hashes are stored
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      used_at DATETIME,
+      FOREIGN KEY (session_id) REFERENCES user_sessions (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- Full-text search index over event title, description and address.
+    -- It is an external-content table, so triggers keep it in sync with events.
+    CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+      title,
+      description,
+      address,
+      content='events',
+      content_rowid='id',
+      tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS events_fts_after_insert AFTER INSERT ON events BEGIN
+      INSERT INTO events_fts (rowid, title, description, address)
+      VALUES (new.id, new.title, new.description, new.address);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS events_fts_after_delete AFTER DELETE ON events BEGIN
+      INSERT INTO events_fts (events_fts, rowid, title, description, address)
+      VALUES ('delete', old.id, old.title, old.description, old.address);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS events_fts_after_update AFTER UPDATE OF title, description, address ON events BEGIN
+      INSERT INTO events_fts (events_fts, rowid, title, description, address)
+      VALUES ('delete', old.id, old.title, old.description, old.address);
+      INSERT INTO events_fts (rowid, title, description, address)
+      VALUES (new.id, new.title, new.description, new.address);
+    END;
+  `);
+
+  // Backfill the search index when it is new
+  if (!searchTableExists) {
+    db.prepare("INSERT INTO events_fts (events_fts) VALUES ('rebuild')").run();
+  }
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS events_fts_after_update;
+    DROP TRIGGER IF EXISTS events_fts_after_delete;
+    DROP TRIGGER IF EXISTS events_fts_after_insert;
+    DROP TABLE IF EXISTS events_fts;
+    DROP VIEW IF EXISTS event_listing;
+    DROP TABLE IF EXISTS password_reset_tokens;
+    DROP TABLE IF EXISTS refresh_tokens;
+    DROP TABLE IF EXISTS user_sessions;
+    DROP TABLE IF EXISTS event_cancellations;
+    DROP TABLE IF EXISTS event_occurrences;
+    DROP TABLE IF EXISTS event_waitlist;
+    DROP TABLE IF EXISTS event_registrations;
+    DROP TABLE IF EXISTS events;
+    DROP TABLE IF EXISTS users;
+  `);
+}
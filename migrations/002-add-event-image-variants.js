@@ -0,0 +1,16 @@
+// Resized variants of the event image. image_url keeps pointing at the full-size
+// image; events whose image was uploaded before this migration have no variants.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE events ADD COLUMN image_medium_url TEXT;
+    ALTER TABLE events ADD COLUMN image_thumbnail_url TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE events DROP COLUMN image_thumbnail_url;
+    ALTER TABLE events DROP COLUMN image_medium_url;
+  `);
+}
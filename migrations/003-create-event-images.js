@@ -0,0 +1,32 @@
+// Image galleries: several images per event, ordered by position, with one cover image.
+// The cover's URLs stay copied onto events.image_url (and its variants) so single-image
+// clients and the hasImage filter keep working. Existing event images become covers.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE event_images (
+      id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      image_url TEXT NOT NULL,
+      image_medium_url TEXT,
+      image_thumbnail_url TEXT,
+      caption TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      is_cover INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_event_images_event_id ON event_images (event_id, position);
+    CREATE INDEX idx_event_images_image_url ON event_images (image_url);
+
+    INSERT INTO event_images (event_id, image_url, image_medium_url, image_thumbnail_url, position, is_cover)
+    SELECT id, image_url, image_medium_url, image_thumbnail_url, 0, 1
+    FROM events
+    WHERE image_url IS NOT NULL;
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE event_images');
+}
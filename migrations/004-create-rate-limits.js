@@ -0,0 +1,18 @@
+// Counters of the SQLite rate limit store (see util/rate-limit.js), shared by every
+// API process that uses the same database file. reset_at is a Unix time in milliseconds.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX idx_rate_limits_reset_at ON rate_limits (reset_at);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE rate_limits');
+}
@@ -0,0 +1,63 @@
+// Outgoing webhooks: endpoints registered by users, and the delivery queue and log.
+// A delivery is one notification for one webhook; each try is a delivery attempt.
+// Times set by the webhook worker (next_attempt_at, locked_until, ...) are ISO 8601.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE webhooks (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_webhooks_user_id ON webhooks (user_id);
+
+    CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY,
+      webhook_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      locked_until TEXT,
+      last_response_status INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at TEXT,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, id);
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+
+    CREATE TABLE webhook_delivery_attempts (
+      id INTEGER PRIMARY KEY,
+      delivery_id INTEGER NOT NULL,
+      attempted_at TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts (delivery_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE webhook_delivery_attempts;
+    DROP TABLE webhook_deliveries;
+    DROP TABLE webhooks;
+  `);
+}
@@ -0,0 +1,20 @@
+// Coordinates of an event's address (WGS 84 degrees), set by the client or
+// geocoded from the address. The index serves the bounding-box prefilter of
+// nearby queries.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE events ADD COLUMN latitude REAL;
+    ALTER TABLE events ADD COLUMN longitude REAL;
+
+    CREATE INDEX idx_events_location ON events (latitude, longitude);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX idx_events_location;
+    ALTER TABLE events DROP COLUMN longitude;
+    ALTER TABLE events DROP COLUMN latitude;
+  `);
+}
@@ -0,0 +1,16 @@
+// Check-in at the door: when a registration's ticket was scanned, and by whom
+// (the event owner or an admin).
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE event_registrations ADD COLUMN checked_in_at DATETIME;
+    ALTER TABLE event_registrations ADD COLUMN checked_in_by INTEGER REFERENCES users (id) ON DELETE SET NULL;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE event_registrations DROP COLUMN checked_in_by;
+    ALTER TABLE event_registrations DROP COLUMN checked_in_at;
+  `);
+}
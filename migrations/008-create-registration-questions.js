@@ -0,0 +1,34 @@
+// Custom registration questions: each event can ask attendees its own questions
+// (free text, single choice or multiple choice) at sign-up. Answers are stored
+// with the registration, or with the waitlist entry until it is promoted, as a
+// JSON object keyed by question key.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE event_questions (
+      id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      type TEXT NOT NULL,
+      required INTEGER NOT NULL DEFAULT 0,
+      options TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+      UNIQUE(event_id, key)
+    );
+
+    CREATE INDEX idx_event_questions_event_id ON event_questions (event_id, position);
+
+    ALTER TABLE event_registrations ADD COLUMN answers TEXT;
+    ALTER TABLE event_waitlist ADD COLUMN answers TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE event_waitlist DROP COLUMN answers;
+    ALTER TABLE event_registrations DROP COLUMN answers;
+    DROP TABLE event_questions;
+  `);
+}
@@ -0,0 +1,19 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dbPath = path.join(__dirname, '..', 'database.sqlite');
+
+// Open a connection to the application database. The app shares one connection
+// (see database.js); the migrate CLI opens its own so it does not migrate on load.
+export function openDatabase() {
+  const db = new Database(dbPath);
+
+  // Enable foreign keys
+  db.pragma('foreign_keys = ON');
+
+  return db;
+}
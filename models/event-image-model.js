@@ -0,0 +1,267 @@
+import db from './database.js';
+import logger from '../util/logger.js';
+
+// Most images a single event may have
+export const MAX_IMAGES_PER_EVENT = 20;
+
+// Prepared statements for better performance
+const getEventImagesStmt = db.prepare(`
+  SELECT * FROM event_images WHERE event_id = ? ORDER BY position ASC, id ASC
+`);
+const findEventImageStmt = db.prepare('SELECT * FROM event_images WHERE id = ? AND event_id = ?');
+const countEventImagesStmt = db.prepare('SELECT COUNT(*) as count FROM event_images WHERE event_id = ?');
+const getNextPositionStmt = db.prepare(`
+  SELECT COALESCE(MAX(position) + 1, 0) as position FROM event_images WHERE event_id = ?
+`);
+const insertEventImageStmt = db.prepare(`
+  INSERT INTO event_images (event_id, image_url, image_medium_url, image_thumbnail_url, caption, position)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+const updateCaptionStmt = db.prepare('UPDATE event_images SET caption = ? WHERE id = ?');
+const updatePositionStmt = db.prepare('UPDATE event_images SET position = ? WHERE id = ?');
+const clearCoverStmt = db.prepare('UPDATE event_images SET is_cover = 0 WHERE event_id = ?');
+const setCoverStmt = db.prepare('UPDATE event_images SET is_cover = 1 WHERE id = ?');
+const findCoverStmt = db.prepare('SELECT * FROM event_images WHERE event_id = ? AND is_cover = 1');
+const replaceCoverUrlsStmt = db.prepare(`
+  UPDATE event_images
+  SET image_url = ?, image_medium_url = ?, image_thumbnail_url = ?
+  WHERE id = ?
+`);
+const deleteEventImageStmt = db.prepare('DELETE FROM event_images WHERE id = ?');
+const copyEventImagesStmt = db.prepare(`
+  INSERT INTO event_images (event_id, image_url, image_medium_url, image_thumbnail_url, caption, position, is_cover)
+  SELECT ?, image_url, image_medium_url, image_thumbnail_url, caption, position, is_cover
+  FROM event_images WHERE event_id = ?
+`);
+const setEventCoverUrlsStmt = db.prepare(`
+  UPDATE events
+  SET image_url = ?, image_medium_url = ?, image_thumbnail_url = ?
+  WHERE id = ?
+`);
+const findImageUrlsForEventStmt = db.prepare(`
+  SELECT DISTINCT image_url FROM event_images
+  WHERE event_id IN (SELECT id FROM events WHERE id = ? OR parent_event_id = ?)
+  UNION
+  SELECT image_url FROM events
+  WHERE (id = ? OR parent_event_id = ?) AND image_url IS NOT NULL
+`);
+const findImageUrlsByUserStmt = db.prepare(`
+  SELECT DISTINCT ei.image_url FROM event_images ei
+  JOIN events e ON e.id = ei.event_id
+  WHERE e.user_id = ?
+  UNION
+  SELECT image_url FROM events WHERE user_id = ? AND image_url IS NOT NULL
+`);
+
+// Make sure an event with images has exactly one cover (the first image by default)
+// and copy the cover's URLs onto the event row
+const syncCover = (eventId) => {
+  let cover = findCoverStmt.get(eventId);
+  if (!cover) {
+    cover = getEventImagesStmt.get(eventId);
+    if (cover) {
+      setCoverStmt.run(cover.id);
+    }
+  }
+
+  setEventCoverUrlsStmt.run(
+    cover?.image_url ?? null,
+    cover?.image_medium_url ?? null,
+    cover?.image_thumbnail_url ?? null,
+    eventId
+  );
+};
+
+// Event image (gallery) model functions
+const eventImageModel = {
+  // Get an event's images in display order
+  getImages(eventId) {
+    try {
+      return getEventImagesStmt.all(eventId);
+    } catch (error) {
+      logger.error('Error getting event images', { error });
+      throw error;
+    }
+  },
+
+  // Find one image of an event
+  findById(eventId, imageId) {
+    try {
+      return findEventImageStmt.get(imageId, eventId);
+    } catch (error) {
+      logger.error('Error finding event image', { error });
+      throw error;
+    }
+  },
+
+  // Append images ({ image_url, image_medium_url, image_thumbnail_url, caption }) to the gallery.
+  // The first image of an event becomes its cover, as does the first new one when makeCover is set.
+  addImages(eventId, images, { makeCover = false } = {}) {
+    try {
+      const add = db.transaction(() => {
+        const { count } = countEventImagesStmt.get(eventId);
+        if (count + images.length > MAX_IMAGES_PER_EVENT) {
+          return {
+            error: 'TOO_MANY_IMAGES',
+            message: `An event can have at most ${MAX_IMAGES_PER_EVENT} images (it has ${count})`
+          };
+        }
+
+        let { position } = getNextPositionStmt.get(eventId);
+        const imageIds = images.map(image => insertEventImageStmt.run(
+          eventId,
+          image.image_url,
+          image.image_medium_url || null,
+          image.image_thumbnail_url || null,
+          image.caption || null,
+          position++
+        ).lastInsertRowid);
+
+        if (makeCover && imageIds.length > 0) {
+          clearCoverStmt.run(eventId);
+          setCoverStmt.run(imageIds[0]);
+        }
+        syncCover(eventId);
+
+        return { success: true, images: imageIds.map(id => findEventImageStmt.get(id, eventId)) };
+      });
+
+      return add();
+    } catch (error) {
+      logger.error('Error adding event images', { error });
+      throw error;
+    }
+  },
+
+  // Change an image's caption and/or make it the cover
+  updateImage(eventId, imageId, { caption, is_cover }) {
+    try {
+      const update = db.transaction(() => {
+        const image = findEventImageStmt.get(imageId, eventId);
+        if (!image) {
+          return { error: 'IMAGE_NOT_FOUND', message: 'Image not found' };
+        }
+
+        if (caption !== undefined) {
+          updateCaptionStmt.run(caption || null, imageId);
+        }
+        if (is_cover) {
+          clearCoverStmt.run(eventId);
+          setCoverStmt.run(imageId);
+          syncCover(eventId);
+        }
+
+        return { success: true, image: findEventImageStmt.get(imageId, eventId) };
+      });
+
+      return update();
+    } catch (error) {
+      logger.error('Error updating event image', { error });
+      throw error;
+    }
+  },
+
+  // Reorder the gallery; imageIds must list every image of the event exactly once
+  reorderImages(eventId, imageIds) {
+    try {
+      const reorder = db.transaction(() => {
+        const currentIds = getEventImagesStmt.all(eventId).map(image => image.id);
+        const sameImages = imageIds.length === currentIds.length
+          && new Set(imageIds).size === imageIds.length
+          && imageIds.every(id => currentIds.includes(id));
+
+        if (!sameImages) {
+          return { error: 'INVALID_ORDER', message: 'order must list every image ID of the event exactly once' };
+        }
+
+        imageIds.forEach((id, position) => updatePositionStmt.run(position, id));
+        return { success: true, images: getEventImagesStmt.all(eventId) };
+      });
+
+      return reorder();
+    } catch (error) {
+      logger.error('Error reordering event images', { error });
+      throw error;
+    }
+  },
+
+  // Remove an image from the gallery (the next image becomes cover if needed)
+  deleteImage(eventId, imageId) {
+    try {
+      const remove = db.transaction(() => {
+        const image = findEventImageStmt.get(imageId, eventId);
+        if (!image) {
+          return { error: 'IMAGE_NOT_FOUND', message: 'Image not found' };
+        }
+
+        deleteEventImageStmt.run(imageId);
+        syncCover(eventId);
+
+        return { success: true, image };
+      });
+
+      return remove();
+    } catch (error) {
+      logger.error('Error deleting event image', { error });
+      throw error;
+    }
+  },
+
+  // Replace the cover image's files (the single-image upload on event create/update)
+  replaceCover(eventId, imageUrls) {
+    try {
+      const replace = db.transaction(() => {
+        const cover = findCoverStmt.get(eventId);
+        if (cover) {
+          replaceCoverUrlsStmt.run(
+            imageUrls.image_url,
+            imageUrls.image_medium_url || null,
+            imageUrls.image_thumbnail_url || null,
+            cover.id
+          );
+          syncCover(eventId);
+          return { success: true };
+        }
+        return this.addImages(eventId, [imageUrls], { makeCover: true });
+      });
+
+      return replace();
+    } catch (error) {
+      logger.error('Error replacing cover image', { error });
+      throw error;
+    }
+  },
+
+  // Give an event (a detached occurrence or split-off series) a copy of another event's gallery
+  copyImages(fromEventId, toEventId) {
+    try {
+      copyEventImagesStmt.run(toEventId, fromEventId);
+      syncCover(toEventId);
+    } catch (error) {
+      logger.error('Error copying event images', { error });
+      throw error;
+    }
+  },
+
+  // Every image URL of an event and its detached occurrences (for file cleanup on delete)
+  findImageUrlsForEvent(eventId) {
+    try {
+      return findImageUrlsForEventStmt.all(eventId, eventId, eventId, eventId).map(row => row.image_url);
+    } catch (error) {
+      logger.error('Error finding event image URLs', { error });
+      throw error;
+    }
+  },
+
+  // Every image URL of a user's events (for file cleanup on account deletion)
+  findImageUrlsByUserId(userId) {
+    try {
+      return findImageUrlsByUserStmt.all(userId, userId).map(row => row.image_url);
+    } catch (error) {
+      logger.error('Error finding user image URLs', { error });
+      throw error;
+    }
+  }
+};
+
+export default eventImageModel;
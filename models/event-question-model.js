@@ -0,0 +1,77 @@
+import db from './database.js';
+import logger from '../util/logger.js';
+
+// Prepared statements for better performance
+const getEventQuestionsStmt = db.prepare(`
+  SELECT * FROM event_questions WHERE event_id = ? ORDER BY position ASC, id ASC
+`);
+const deleteEventQuestionsStmt = db.prepare('DELETE FROM event_questions WHERE event_id = ?');
+const insertEventQuestionStmt = db.prepare(`
+  INSERT INTO event_questions (event_id, key, label, type, required, options, position)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const copyEventQuestionsStmt = db.prepare(`
+  INSERT INTO event_questions (event_id, key, label, type, required, options, position)
+  SELECT ?, key, label, type, required, options, position
+  FROM event_questions WHERE event_id = ?
+`);
+
+// Shape a stored question for callers (options are stored as JSON)
+const toQuestion = (row) => ({
+  key: row.key,
+  label: row.label,
+  type: row.type,
+  required: Boolean(row.required),
+  options: row.options ? JSON.parse(row.options) : null
+});
+
+// Registration question model functions
+const eventQuestionModel = {
+  // Get an event's registration questions in display order
+  getQuestions(eventId) {
+    try {
+      return getEventQuestionsStmt.all(eventId).map(toQuestion);
+    } catch (error) {
+      logger.error('Error getting event questions', { error });
+      throw error;
+    }
+  },
+
+  // Replace an event's registration questions (an empty list removes them)
+  setQuestions(eventId, questions) {
+    try {
+      const replace = db.transaction(() => {
+        deleteEventQuestionsStmt.run(eventId);
+        questions.forEach((question, position) => {
+          insertEventQuestionStmt.run(
+            eventId,
+            question.key,
+            question.label,
+            question.type,
+            question.required ? 1 : 0,
+            question.options ? JSON.stringify(question.options) : null,
+            position
+          );
+        });
+      });
+
+      replace();
+      return this.getQuestions(eventId);
+    } catch (error) {
+      logger.error('Error setting event questions', { error });
+      throw error;
+    }
+  },
+
+  // Give an event (a detached occurrence or split-off series) a copy of another event's questions
+  copyQuestions(fromEventId, toEventId) {
+    try {
+      copyEventQuestionsStmt.run(toEventId, fromEventId);
+    } catch (error) {
+      logger.error('Error copying event questions', { error });
+      throw error;
+    }
+  }
+};
+
+export default eventQuestionModel;
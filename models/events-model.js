@@ -1,12 +1,28 @@
 import db from './database.js';
+import eventImageModel from './event-image-model.js';
+import eventQuestionModel from './event-question-model.js';
+import {
+  expandOccurrences,
+  getOccurrenceWindow,
+  getSeriesEnd,
+  isSeriesOccurrence,
+  splitExceptionDates,
+  splitRecurrenceRule
+} from '../util/recurrence.js';
+import logger from '../util/logger.js';
+import { publishEventChange } from '../util/event-bus.js';
+import { getBoundingBox, haversineDistanceKm } from '../util/geo.js';
+
+// Exact distance for nearby queries: distance_km(lat1, lng1, lat2, lng2)
+db.function('distance_km', { deterministic: true }, haversineDistanceKm);
 
 // Prepared statements for better performance
 const getAllEventsStmt = db.prepare('SELECT * FROM events ORDER BY date ASC');
 const findEventByIdStmt = db.prepare('SELECT * FROM events WHERE id = ?');
 const findEventsByUserIdStmt = db.prepare('SELECT * FROM events WHERE user_id = ? ORDER BY date ASC');
 const createEventStmt = db.prepare(`
-  INSERT INTO events (title, description, address, date, image_url, user_id) 
-  VALUES (?, ?, ?, ?, ?, ?)
+  INSERT INTO events (title, description, address, date, image_url, image_medium_url, image_thumbnail_url, capacity, parent_event_id, recurrence_id, user_id, latitude, longitude) 
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 const updateEventStmt = db.prepare(`
   UPDATE events 
@@ -14,15 +30,88 @@ const updateEventStmt = db.prepare(`
       description = COALESCE(?, description), 
       address = COALESCE(?, address),
       date = COALESCE(?, date),
-      image_url = COALESCE(?, image_url)
+      image_url = COALESCE(?, image_url),
+      image_medium_url = COALESCE(?, image_medium_url),
+      image_thumbnail_url = COALESCE(?, image_thumbnail_url),
+      sequence = sequence + 1
   WHERE id = ? AND user_id = ?
 `);
+// Coordinates are set separately so they can be cleared (updates keep other unset fields)
+const setLocationStmt = db.prepare('UPDATE events SET latitude = ?, longitude = ? WHERE id = ?');
+// Likewise capacity, where null removes the limit
+const setCapacityStmt = db.prepare('UPDATE events SET capacity = ? WHERE id = ?');
 const deleteEventStmt = db.prepare('DELETE FROM events WHERE id = ? AND user_id = ?');
+const bumpSequenceStmt = db.prepare('UPDATE events SET sequence = sequence + 1 WHERE id = ?');
+const findImageUseStmt = db.prepare(`
+  SELECT 1 FROM events WHERE image_url = ? AND id IS NOT ?
+  UNION ALL
+  SELECT 1 FROM event_images WHERE image_url = ? AND event_id IS NOT ?
+  LIMIT 1
+`);
+
+// Calendar cancellation prepared statements
+const recordOwnerCancellationStmt = db.prepare(`
+  INSERT INTO event_cancellations (event_id, user_id, feed, title, date, sequence) 
+  VALUES (?, ?, 'events', ?, ?, ?)
+`);
+const recordRegistrantCancellationsStmt = db.prepare(`
+  INSERT INTO event_cancellations (event_id, user_id, feed, title, date, sequence) 
+  SELECT e.id, er.user_id, 'registrations', e.title, e.date, e.sequence
+  FROM events e
+  JOIN event_registrations er ON er.event_id = e.id
+  WHERE e.id = ? OR e.parent_event_id = ?
+`);
+const getCancellationsStmt = db.prepare(`
+  SELECT * FROM event_cancellations 
+  WHERE user_id = ? AND feed = ? AND cancelled_at >= ? 
+  ORDER BY cancelled_at ASC
+`);
+
+// Recurrence prepared statements
+const setRecurrenceStmt = db.prepare(`
+  UPDATE events 
+  SET recurrence_rule = ?, recurrence_exdates = ?, recurrence_end = ? 
+  WHERE id = ?
+`);
+const findRecurringEventsStmt = db.prepare('SELECT * FROM events WHERE recurrence_rule IS NOT NULL');
+const deleteOccurrencesStmt = db.prepare('DELETE FROM event_occurrences WHERE event_id = ?');
+const insertOccurrenceStmt = db.prepare(`
+  INSERT OR IGNORE INTO event_occurrences (event_id, starts_at) 
+  VALUES (?, ?)
+`);
+const findOccurrenceStmt = db.prepare(`
+  SELECT * FROM event_occurrences 
+  WHERE event_id = ? AND starts_at = ?
+`);
+const getUpcomingOccurrencesStmt = db.prepare(`
+  SELECT starts_at FROM event_occurrences 
+  WHERE event_id = ? AND starts_at > ? 
+  ORDER BY starts_at ASC 
+  LIMIT ?
+`);
+const findDetachedInstanceStmt = db.prepare(`
+  SELECT * FROM events 
+  WHERE parent_event_id = ? AND recurrence_id = ?
+`);
+const findDetachedInstancesStmt = db.prepare(`
+  SELECT * FROM events 
+  WHERE parent_event_id = ? 
+  ORDER BY recurrence_id ASC
+`);
+const reparentInstancesStmt = db.prepare(`
+  UPDATE events 
+  SET parent_event_id = ? 
+  WHERE parent_event_id = ? AND recurrence_id >= ?
+`);
+const copyRegistrationsStmt = db.prepare(`
+  INSERT OR IGNORE INTO event_registrations (event_id, user_id, registered_at, answers) 
+  SELECT ?, user_id, registered_at, answers FROM event_registrations WHERE event_id = ?
+`);
 
 // Registration prepared statements
 const registerForEventStmt = db.prepare(`
-  INSERT INTO event_registrations (event_id, user_id) 
-  VALUES (?, ?)
+  INSERT INTO event_registrations (event_id, user_id, answers) 
+  VALUES (?, ?, ?)
 `);
 const unregisterFromEventStmt = db.prepare(`
   DELETE FROM event_registrations 
@@ -32,6 +121,18 @@ const findRegistrationStmt = db.prepare(`
   SELECT * FROM event_registrations 
   WHERE event_id = ? AND user_id = ?
 `);
+const findRegistrationByIdStmt = db.prepare(`
+  SELECT er.*, u.email, u.name
+  FROM event_registrations er
+  JOIN users u ON er.user_id = u.id
+  WHERE er.id = ?
+`);
+// Only the first scan of a ticket checks it in
+const checkInRegistrationStmt = db.prepare(`
+  UPDATE event_registrations
+  SET checked_in_at = ?, checked_in_by = ?
+  WHERE id = ? AND checked_in_at IS NULL
+`);
 const getEventRegistrationsStmt = db.prepare(`
   SELECT er.*, u.email, u.name 
   FROM event_registrations er
@@ -39,6 +140,14 @@ const getEventRegistrationsStmt = db.prepare(`
   WHERE er.event_id = ?
   ORDER BY er.registered_at ASC
 `);
+const getEventRegistrationsAfterStmt = db.prepare(`
+  SELECT er.*, u.email, u.name
+  FROM event_registrations er
+  JOIN users u ON er.user_id = u.id
+  WHERE er.event_id = ? AND er.id > ?
+  ORDER BY er.id ASC
+  LIMIT ?
+`);
 const getUserRegistrationsStmt = db.prepare(`
   SELECT e.*, er.registered_at, u.email as owner_email, u.name as owner_name
   FROM event_registrations er
@@ -47,10 +156,324 @@ const getUserRegistrationsStmt = db.prepare(`
   WHERE er.user_id = ?
   ORDER BY e.date ASC
 `);
+const findRegisteredEventIdsStmt = db.prepare(`
+  SELECT event_id FROM event_registrations WHERE user_id = ?
+`);
 const getRegistrationCountStmt = db.prepare(`
   SELECT COUNT(*) as count FROM event_registrations WHERE event_id = ?
 `);
 
+// Waitlist prepared statements
+const addToWaitlistStmt = db.prepare(`
+  INSERT INTO event_waitlist (event_id, user_id, answers) 
+  VALUES (?, ?, ?)
+`);
+const removeFromWaitlistStmt = db.prepare(`
+  DELETE FROM event_waitlist 
+  WHERE event_id = ? AND user_id = ?
+`);
+const findWaitlistEntryStmt = db.prepare(`
+  SELECT * FROM event_waitlist 
+  WHERE event_id = ? AND user_id = ?
+`);
+const getNextWaitlistEntryStmt = db.prepare(`
+  SELECT * FROM event_waitlist 
+  WHERE event_id = ? 
+  ORDER BY joined_at ASC, id ASC 
+  LIMIT 1
+`);
+const getWaitlistPositionStmt = db.prepare(`
+  SELECT COUNT(*) as position FROM event_waitlist 
+  WHERE event_id = ? AND id <= ?
+`);
+const getEventWaitlistStmt = db.prepare(`
+  SELECT ew.*, u.email, u.name 
+  FROM event_waitlist ew
+  JOIN users u ON ew.user_id = u.id
+  WHERE ew.event_id = ?
+  ORDER BY ew.joined_at ASC, ew.id ASC
+`);
+const getWaitlistCountStmt = db.prepare(`
+  SELECT COUNT(*) as count FROM event_waitlist WHERE event_id = ?
+`);
+
+// Columns that list queries may sort by, mapped to SQL expressions
+const SORT_COLUMNS = {
+  date: 'e.occurrence_date',
+  created_at: 'e.created_at',
+  title: 'e.title COLLATE NOCASE',
+  registered_at: 'er.registered_at',
+  distance: 'distance_km' // Nearby queries only
+};
+
+// Build the WHERE clause shared by the event list queries, which read from the
+// event_listing view (one row per occurrence). Filter values come pre-validated.
+const buildEventFilters = (options) => {
+  const clauses = [];
+  const params = [];
+
+  if (options.from) {
+    clauses.push('e.occurrence_date >= ?');
+    params.push(options.from);
+  }
+  if (options.to) {
+    clauses.push('e.occurrence_date <= ?');
+    params.push(options.to);
+  }
+  if (options.ownerId !== undefined) {
+    clauses.push('e.user_id = ?');
+    params.push(options.ownerId);
+  }
+  if (options.hasImage === true) {
+    clauses.push('e.image_url IS NOT NULL');
+  } else if (options.hasImage === false) {
+    clauses.push('e.image_url IS NULL');
+  }
+  if (options.when === 'upcoming') {
+    clauses.push('e.occurrence_date > ?');
+    params.push(new Date().toISOString());
+  } else if (options.when === 'past') {
+    clauses.push('e.occurrence_date <= ?');
+    params.push(new Date().toISOString());
+  }
+  if (options.near) {
+    // The bounding box narrows the rows (using the location index) before the
+    // exact distance is calculated
+    const { latitude, longitude, radiusKm } = options.near;
+    const box = getBoundingBox(latitude, longitude, radiusKm);
+    clauses.push('e.latitude BETWEEN ? AND ?');
+    params.push(box.minLatitude, box.maxLatitude);
+    clauses.push(box.minLongitude <= box.maxLongitude ? 'e.longitude BETWEEN ? AND ?' : '(e.longitude >= ? OR e.longitude <= ?)');
+    params.push(box.minLongitude, box.maxLongitude);
+    clauses.push('distance_km(?, ?, e.latitude, e.longitude) <= ?');
+    params.push(latitude, longitude, radiusKm);
+  }
+
+  return { clauses, params };
+};
+
+// Build the ORDER BY clause; id and occurrence break ties so pages are stable
+const buildOrderBy = (sort = 'date') => {
+  const descending = sort.startsWith('-');
+  const column = SORT_COLUMNS[descending ? sort.slice(1) : sort] || SORT_COLUMNS.date;
+  const direction = descending ? 'DESC' : 'ASC';
+  return `ORDER BY ${column} ${direction}, e.id ${direction}, e.occurrence_date ${direction}`;
+};
+
+// Regenerate the stored occurrences of a recurring series up to the horizon,
+// skipping exception dates and occurrences that were detached into their own rows
+const syncOccurrences = (event) => {
+  deleteOccurrencesStmt.run(event.id);
+  if (!event.recurrence_rule) return;
+
+  const detachedDates = findDetachedInstancesStmt.all(event.id).map(instance => instance.recurrence_id);
+  const occurrences = expandOccurrences(event.recurrence_rule, event.date, {
+    ...getOccurrenceWindow(event.date),
+    exclude: [...splitExceptionDates(event.recurrence_exdates), ...detachedDates]
+  });
+
+  for (const startsAt of occurrences) {
+    insertOccurrenceStmt.run(event.id, startsAt);
+  }
+};
+
+// Store a series' rule and exception dates, then regenerate its occurrences.
+// Must be called from inside a transaction.
+const setRecurrence = (eventId, rule, exdates = []) => {
+  const event = findEventByIdStmt.get(eventId);
+  const seriesEnd = rule ? getSeriesEnd(rule, event.date) : null;
+  setRecurrenceStmt.run(rule || null, exdates.length > 0 ? exdates.join(',') : null, seriesEnd, eventId);
+  syncOccurrences(findEventByIdStmt.get(eventId));
+};
+
+// Insert an event with its recurrence and cover image; returns the new ID.
+// Must be called from inside a transaction.
+const insertEvent = (eventData) => {
+  const result = createEventStmt.run(
+    eventData.title,
+    eventData.description || null,
+    eventData.address || null,
+    eventData.date,
+    eventData.image_url || null,
+    eventData.image_medium_url || null,
+    eventData.image_thumbnail_url || null,
+    eventData.capacity ?? null,
+    eventData.parent_event_id ?? null,
+    eventData.recurrence_id ?? null,
+    eventData.user_id,
+    eventData.latitude ?? null,
+    eventData.longitude ?? null
+  );
+
+  if (eventData.recurrence_rule) {
+    setRecurrence(result.lastInsertRowid, eventData.recurrence_rule, eventData.recurrence_exdates);
+  }
+
+  // The uploaded image starts the event's gallery as its cover
+  if (eventData.image_url) {
+    eventImageModel.addImages(result.lastInsertRowid, [eventData], { makeCover: true });
+  }
+
+  return result.lastInsertRowid;
+};
+
+// Promote waitlisted users into free seats, oldest entry first.
+// Must be called from inside a transaction.
+const promoteFromWaitlist = (event) => {
+  const promoted = [];
+  const capacity = event.capacity ?? Infinity;
+  let confirmedCount = getRegistrationCountStmt.get(event.id).count;
+
+  while (confirmedCount < capacity) {
+    const next = getNextWaitlistEntryStmt.get(event.id);
+    if (!next) break;
+    removeFromWaitlistStmt.run(event.id, next.user_id);
+    registerForEventStmt.run(event.id, next.user_id, next.answers); // Answers given when joining the waitlist
+    promoted.push(next.user_id);
+    confirmedCount++;
+  }
+
+  return promoted;
+};
+
+// Tell listeners how many seats and waitlist places of an event are taken.
+// Call after the change is committed.
+const publishRegistrationCounts = (event) => {
+  publishEventChange('registrations.changed', event, {
+    registrationCount: getRegistrationCountStmt.get(event.id).count,
+    waitlistCount: getWaitlistCountStmt.get(event.id).count,
+    capacity: event.capacity
+  });
+};
+
+// Detach one occurrence of a series into its own event row (iCalendar RECURRENCE-ID)
+// with the series' details, images and questions; returns the new ID.
+// Must be called from inside a transaction.
+const insertDetachedInstance = (series, startsAt) => {
+  const result = createEventStmt.run(
+    series.title,
+    series.description,
+    series.address,
+    startsAt,
+    series.image_url,
+    series.image_medium_url,
+    series.image_thumbnail_url,
+    series.capacity,
+    series.id,
+    startsAt,
+    series.user_id,
+    series.latitude,
+    series.longitude
+  );
+  eventImageModel.copyImages(series.id, result.lastInsertRowid);
+  eventQuestionModel.copyQuestions(series.id, result.lastInsertRowid);
+  syncOccurrences(series);
+  return result.lastInsertRowid;
+};
+
+// Pass an edit of a series on to one of its detached occurrences. A field is
+// only changed where the occurrence still has the series' value from before the
+// edit, so what was changed for the occurrence itself stays. A capacity below
+// the occurrence's registrations is not passed on. Returns the users promoted
+// from the occurrence's waitlist, or null when nothing changed.
+// Must be called from inside a transaction.
+const applySeriesUpdate = (series, instance, updateData) => {
+  const follows = (field) => updateData[field] !== undefined && instance[field] === series[field];
+  const followsImage = updateData.image_url && instance.image_url === series.image_url;
+  const followsLocation = updateData.latitude !== undefined
+    && instance.latitude === series.latitude && instance.longitude === series.longitude;
+  const followsCapacity = follows('capacity') && (updateData.capacity === null
+    || updateData.capacity >= getRegistrationCountStmt.get(instance.id).count);
+
+  if (!['title', 'description', 'address'].some(follows) && !followsImage && !followsLocation && !followsCapacity) {
+    return null;
+  }
+
+  updateEventStmt.run(
+    follows('title') ? updateData.title : null,
+    follows('description') ? updateData.description : null,
+    follows('address') ? updateData.address : null,
+    null,
+    followsImage ? updateData.image_url : null,
+    followsImage ? updateData.image_medium_url : null,
+    followsImage ? updateData.image_thumbnail_url : null,
+    instance.id,
+    instance.user_id
+  );
+  if (followsCapacity) {
+    setCapacityStmt.run(updateData.capacity, instance.id);
+  }
+  if (followsLocation) {
+    setLocationStmt.run(updateData.latitude, updateData.longitude, instance.id);
+  }
+  if (followsImage) {
+    eventImageModel.replaceCover(instance.id, updateData);
+  }
+
+  return promoteFromWaitlist(findEventByIdStmt.get(instance.id));
+};
+
+// Apply an edit to one event row, and pass it on to the series' detached
+// occurrences. Returns the updated event with the users promoted from its
+// waitlist and the occurrences that changed along with it.
+// Must be called from inside a transaction.
+const applyEventUpdate = (existingEvent, updateData) => {
+  const id = existingEvent.id;
+  const result = updateEventStmt.run(
+    updateData.title || null,
+    updateData.description || null,
+    updateData.address || null,
+    updateData.date || null,
+    updateData.image_url || null,
+    updateData.image_medium_url || null,
+    updateData.image_thumbnail_url || null,
+    id,
+    existingEvent.user_id
+  );
+
+  if (result.changes === 0) {
+    return { error: 'UPDATE_FAILED', message: 'Failed to update event' };
+  }
+
+  if (updateData.capacity !== undefined) {
+    setCapacityStmt.run(updateData.capacity, id);
+  }
+
+  if (updateData.latitude !== undefined) {
+    setLocationStmt.run(updateData.latitude, updateData.longitude, id);
+  }
+
+  // A new image replaces the cover of the gallery
+  if (updateData.image_url) {
+    eventImageModel.replaceCover(id, updateData);
+  }
+
+  // Series follow their new start date, rule or exception dates
+  const rule = updateData.recurrence_rule ?? existingEvent.recurrence_rule;
+  if (rule) {
+    setRecurrence(
+      id,
+      rule,
+      updateData.recurrence_exdates ?? splitExceptionDates(existingEvent.recurrence_exdates)
+    );
+  }
+
+  // A raised capacity frees seats for people on the waitlist
+  const updatedEvent = findEventByIdStmt.get(id);
+  const promotedUserIds = promoteFromWaitlist(updatedEvent);
+
+  // Detached occurrences of a series follow the edit where they have not been changed themselves
+  const occurrences = [];
+  for (const instance of findDetachedInstancesStmt.all(id)) {
+    const promotedFromOccurrence = applySeriesUpdate(existingEvent, instance, updateData);
+    if (promotedFromOccurrence) {
+      occurrences.push({ event: findEventByIdStmt.get(instance.id), promotedUserIds: promotedFromOccurrence });
+    }
+  }
+
+  return { success: true, event: updatedEvent, promotedUserIds, occurrences };
+};
+
 // Events model functions
 const eventsModel = {
   // Get all events
@@ -58,7 +481,88 @@ const eventsModel = {
     try {
       return getAllEventsStmt.all();
     } catch (error) {
-      console.error('Error getting all events:', error);
+      logger.error('Error getting all events', { error });
+      throw error;
+    }
+  },
+
+  // Query events with filters, sorting and limit/offset pagination
+  queryEvents(options = {}) {
+    try {
+      const { clauses, params } = buildEventFilters(options);
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+      const { total } = db.prepare(`SELECT COUNT(*) as total FROM event_listing e ${where}`).get(...params);
+      const events = db.prepare(`
+        SELECT e.* FROM event_listing e
+        ${where}
+        ${buildOrderBy(options.sort)}
+        LIMIT ? OFFSET ?
+      `).all(...params, options.limit ?? -1, options.offset ?? 0);
+
+      return { events, total };
+    } catch (error) {
+      logger.error('Error querying events', { error });
+      throw error;
+    }
+  },
+
+  // Full-text search over title, description and address, ranked by relevance
+  searchEvents(matchQuery, options = {}) {
+    try {
+      const { clauses, params } = buildEventFilters(options);
+      clauses.unshift('events_fts MATCH ?');
+      params.unshift(matchQuery);
+      const where = `WHERE ${clauses.join(' AND ')}`;
+      const orderBy = options.sort === 'relevance'
+        ? 'ORDER BY rank, e.id ASC, e.occurrence_date ASC'
+        : buildOrderBy(options.sort);
+
+      const { total } = db.prepare(`
+        SELECT COUNT(*) as total
+        FROM events_fts
+        JOIN event_listing e ON e.id = events_fts.rowid
+        ${where}
+      `).get(...params);
+      const events = db.prepare(`
+        SELECT e.*,
+               bm25(events_fts, 10.0, 3.0, 1.0) as rank,
+               highlight(events_fts, 0, '<mark>', '</mark>') as title_highlight,
+               snippet(events_fts, 1, '<mark>', '</mark>', '…', 16) as description_snippet,
+               snippet(events_fts, 2, '<mark>', '</mark>', '…', 16) as address_snippet
+        FROM events_fts
+        JOIN event_listing e ON e.id = events_fts.rowid
+        ${where}
+        ${orderBy}
+        LIMIT ? OFFSET ?
+      `).all(...params, options.limit ?? -1, options.offset ?? 0);
+
+      return { events, total };
+    } catch (error) {
+      logger.error('Error searching events', { error });
+      throw error;
+    }
+  },
+
+  // Query events within radiusKm of a point, with the same filters and paging as
+  // queryEvents. Rows get distance_km; sort 'distance' puts the nearest first.
+  queryNearbyEvents({ latitude, longitude, radiusKm }, options = {}) {
+    try {
+      const { clauses, params } = buildEventFilters({ ...options, near: { latitude, longitude, radiusKm } });
+      const where = `WHERE ${clauses.join(' AND ')}`;
+
+      const { total } = db.prepare(`SELECT COUNT(*) as total FROM event_listing e ${where}`).get(...params);
+      const events = db.prepare(`
+        SELECT e.*, distance_km(?, ?, e.latitude, e.longitude) as distance_km
+        FROM event_listing e
+        ${where}
+        ${buildOrderBy(options.sort)}
+        LIMIT ? OFFSET ?
+      `).all(latitude, longitude, ...params, options.limit ?? -1, options.offset ?? 0);
+
+      return { events, total };
+    } catch (error) {
+      logger.error('Error querying nearby events', { error });
       throw error;
     }
   },
@@ -68,7 +572,7 @@ const eventsModel = {
     try {
       return findEventByIdStmt.get(id);
     } catch (error) {
-      console.error('Error finding event by ID:', error);
+      logger.error('Error finding event by ID', { error });
       throw error;
     }
   },
@@ -78,33 +582,42 @@ const eventsModel = {
     try {
       return findEventsByUserIdStmt.all(userId);
     } catch (error) {
-      console.error('Error finding events by user ID:', error);
+      logger.error('Error finding events by user ID', { error });
       throw error;
     }
   },
 
-  // Create new event
+  // Create new event (a recurrence rule turns it into a series)
   createEvent(eventData) {
     try {
-      const result = createEventStmt.run(
-        eventData.title,
-        eventData.description || null,
-        eventData.address || null,
-        eventData.date,
-        eventData.image_url || null,
-        eventData.user_id
-      );
-      
+      const create = db.transaction(() => insertEvent(eventData));
+
       // Return the created event
-      return this.findById(result.lastInsertRowid);
+      const event = this.findById(create());
+      publishEventChange('event.created', event, { event });
+      return event;
     } catch (error) {
-      console.error('Error creating event:', error);
+      logger.error('Error creating event', { error });
       throw error;
     }
   },
 
-  // Update event (only by owner)
-  updateEvent(id, userId, updateData) {
+  // Create several events in one transaction: either all of them are saved or none
+  importEvents(eventsData) {
+    try {
+      const importAll = db.transaction(() => eventsData.map(eventData => insertEvent(eventData)));
+
+      const events = importAll().map(id => this.findById(id));
+      events.forEach(event => publishEventChange('event.created', event, { event }));
+      return events;
+    } catch (error) {
+      logger.error('Error importing events', { error, count: eventsData.length });
+      throw error;
+    }
+  },
+
+  // Update event (only by owner, or by an admin)
+  updateEvent(id, userId, updateData, { isAdmin = false } = {}) {
     try {
       // First check if event exists and belongs to user
       const existingEvent = this.findById(id);
@@ -112,33 +625,30 @@ const eventsModel = {
         return { error: 'EVENT_NOT_FOUND', message: 'Event not found' };
       }
       
-      if (existingEvent.user_id !== userId) {
+      if (existingEvent.user_id !== userId && !isAdmin) {
         return { error: 'UNAUTHORIZED', message: 'You can only update your own events' };
       }
 
-      const result = updateEventStmt.run(
-        updateData.title || null,
-        updateData.description || null,
-        updateData.address || null,
-        updateData.date || null,
-        updateData.image_url || null,
-        id,
-        userId
-      );
-      
-      if (result.changes === 0) {
-        return { error: 'UPDATE_FAILED', message: 'Failed to update event' };
+      const applyUpdate = db.transaction(() => applyEventUpdate(existingEvent, updateData));
+
+      const result = applyUpdate();
+      if (result.success) {
+        for (const { event, promotedUserIds } of [result, ...result.occurrences]) {
+          publishEventChange('event.updated', event, { event });
+          if (promotedUserIds.length > 0) {
+            publishRegistrationCounts(event);
+          }
+        }
       }
-      
-      return { success: true, event: this.findById(id) };
+      return result;
     } catch (error) {
-      console.error('Error updating event:', error);
+      logger.error('Error updating event', { error });
       throw error;
     }
   },
 
-  // Delete event (only by owner)
-  deleteEvent(id, userId) {
+  // Delete event (only by owner, or by an admin)
+  deleteEvent(id, userId, { isAdmin = false } = {}) {
     try {
       // First check if event exists and belongs to user
       const existingEvent = this.findById(id);
@@ -146,77 +656,407 @@ const eventsModel = {
         return { error: 'EVENT_NOT_FOUND', message: 'Event not found' };
       }
       
-      if (existingEvent.user_id !== userId) {
+      if (existingEvent.user_id !== userId && !isAdmin) {
         return { error: 'UNAUTHORIZED', message: 'You can only delete your own events' };
       }
 
-      const result = deleteEventStmt.run(id, userId);
-      
-      if (result.changes === 0) {
-        return { error: 'DELETE_FAILED', message: 'Failed to delete event' };
+      const removeEvent = db.transaction(() => {
+        // Keep a record so calendar feeds can tell subscribers the event is cancelled.
+        // A deleted occurrence becomes an EXDATE of its series instead (see below).
+        if (!existingEvent.parent_event_id) {
+          recordOwnerCancellationStmt.run(
+            id,
+            existingEvent.user_id,
+            existingEvent.title,
+            existingEvent.date,
+            existingEvent.sequence
+          );
+        }
+        recordRegistrantCancellationsStmt.run(id, id);
+
+        const result = deleteEventStmt.run(id, existingEvent.user_id);
+
+        if (result.changes === 0) {
+          return { error: 'DELETE_FAILED', message: 'Failed to delete event' };
+        }
+
+        // Deleting a detached occurrence cancels it, so the series must not regenerate it
+        const parent = existingEvent.parent_event_id ? this.findById(existingEvent.parent_event_id) : null;
+        if (parent && parent.recurrence_rule) {
+          const exdates = splitExceptionDates(parent.recurrence_exdates);
+          setRecurrence(parent.id, parent.recurrence_rule, [...exdates, existingEvent.recurrence_id].sort());
+          bumpSequenceStmt.run(parent.id);
+        }
+
+        return { success: true, message: 'Event deleted successfully', parent };
+      });
+
+      const { parent, ...result } = removeEvent();
+      if (result.success) {
+        publishEventChange('event.deleted', existingEvent);
+        if (parent && parent.recurrence_rule) {
+          const series = this.findById(parent.id);
+          publishEventChange('event.updated', series, { event: series });
+        }
       }
-      
-      return { success: true, message: 'Event deleted successfully' };
+      return result;
     } catch (error) {
-      console.error('Error deleting event:', error);
+      logger.error('Error deleting event', { error });
       throw error;
     }
   },
 
-  // Register for event
-  registerForEvent(eventId, userId) {
+  // Edit one occurrence of a series: it is detached into its own event row
+  // (iCalendar RECURRENCE-ID) in the same transaction as the edit, so a failed
+  // edit leaves the series as it was
+  updateOccurrence(id, userId, occurrenceDate, updateData, { isAdmin = false } = {}) {
+    try {
+      const series = this.findById(id);
+      if (!series) {
+        return { error: 'EVENT_NOT_FOUND', message: 'Event not found' };
+      }
+
+      if (series.user_id !== userId && !isAdmin) {
+        return { error: 'UNAUTHORIZED', message: 'You can only update your own events' };
+      }
+
+      if (!series.recurrence_rule) {
+        return { error: 'NOT_RECURRING', message: 'This event is not a recurring series' };
+      }
+
+      // An occurrence that already has its own row is edited like any other event
+      const startsAt = new Date(occurrenceDate).toISOString();
+      const existingInstance = findDetachedInstanceStmt.get(id, startsAt);
+      if (existingInstance) {
+        return this.updateEvent(existingInstance.id, userId, updateData, { isAdmin });
+      }
+
+      if (!findOccurrenceStmt.get(id, startsAt)) {
+        return { error: 'OCCURRENCE_NOT_FOUND', message: 'The series has no occurrence at that date' };
+      }
+
+      const detachAndUpdate = db.transaction(() => {
+        const instanceId = insertDetachedInstance(series, startsAt);
+        const result = applyEventUpdate(findEventByIdStmt.get(instanceId), updateData);
+        if (result.error) {
+          // Throwing rolls the detached row back along with the edit
+          throw new Error(result.message);
+        }
+        return result;
+      });
+
+      const result = detachAndUpdate();
+      publishEventChange('event.created', result.event, { event: result.event });
+      if (result.promotedUserIds.length > 0) {
+        publishRegistrationCounts(result.event);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error updating occurrence', { error });
+      throw error;
+    }
+  },
+
+  // Edit this and all following occurrences: the series is split at the occurrence
+  // and the changes apply to the new part. Whole-series registrations carry over.
+  splitSeries(id, userId, occurrenceDate, updateData, { isAdmin = false } = {}) {
+    try {
+      const existingEvent = this.findById(id);
+      if (!existingEvent) {
+        return { error: 'EVENT_NOT_FOUND', message: 'Event not found' };
+      }
+
+      if (existingEvent.user_id !== userId && !isAdmin) {
+        return { error: 'UNAUTHORIZED', message: 'You can only update your own events' };
+      }
+
+      if (!existingEvent.recurrence_rule) {
+        return { error: 'NOT_RECURRING', message: 'This event is not a recurring series' };
+      }
+
+      const splitAt = new Date(occurrenceDate).toISOString();
+      if (!isSeriesOccurrence(existingEvent.recurrence_rule, existingEvent.date, splitAt)) {
+        return { error: 'OCCURRENCE_NOT_FOUND', message: 'The series has no occurrence at that date' };
+      }
+
+      // Splitting at the first occurrence is the same as editing the whole series
+      if (splitAt === existingEvent.date) {
+        return this.updateEvent(id, userId, updateData, { isAdmin });
+      }
+
+      const split = db.transaction(() => {
+        const rules = splitRecurrenceRule(existingEvent.recurrence_rule, existingEvent.date, splitAt);
+        const exdates = splitExceptionDates(existingEvent.recurrence_exdates);
+
+        const result = createEventStmt.run(
+          updateData.title || existingEvent.title,
+          updateData.description || existingEvent.description,
+          updateData.address || existingEvent.address,
+          updateData.date || splitAt,
+          updateData.image_url || existingEvent.image_url,
+          updateData.image_medium_url || existingEvent.image_medium_url,
+          updateData.image_thumbnail_url || existingEvent.image_thumbnail_url,
+          updateData.capacity !== undefined ? updateData.capacity : existingEvent.capacity,
+          null,
+          null,
+          existingEvent.user_id,
+          updateData.latitude !== undefined ? updateData.latitude : existingEvent.latitude,
+          updateData.latitude !== undefined ? updateData.longitude : existingEvent.longitude
+        );
+        const newSeriesId = result.lastInsertRowid;
+        eventImageModel.copyImages(id, newSeriesId);
+        eventQuestionModel.copyQuestions(id, newSeriesId);
+        if (updateData.image_url) {
+          eventImageModel.replaceCover(newSeriesId, updateData);
+        }
+
+        // Detached occurrences after the split move to the new series and take its
+        // changes (where they have not been changed themselves)
+        reparentInstancesStmt.run(newSeriesId, id, splitAt);
+        const occurrences = [];
+        for (const instance of findDetachedInstancesStmt.all(newSeriesId)) {
+          const promotedUserIds = applySeriesUpdate(existingEvent, instance, updateData);
+          if (promotedUserIds) {
+            occurrences.push({ event: this.findById(instance.id), promotedUserIds });
+          }
+        }
+
+        copyRegistrationsStmt.run(newSeriesId, id);
+
+        setRecurrence(id, rules.before, exdates.filter(date => date < splitAt));
+        bumpSequenceStmt.run(id);
+        setRecurrence(
+          newSeriesId,
+          updateData.recurrence_rule ?? rules.after,
+          updateData.recurrence_exdates ?? exdates.filter(date => date >= splitAt)
+        );
+
+        return {
+          success: true,
+          event: this.findById(newSeriesId),
+          previousSeries: this.findById(id),
+          occurrences
+        };
+      });
+
+      const result = split();
+      publishEventChange('event.created', result.event, { event: result.event });
+      publishEventChange('event.updated', result.previousSeries, { event: result.previousSeries });
+      for (const { event, promotedUserIds } of result.occurrences) {
+        publishEventChange('event.updated', event, { event });
+        if (promotedUserIds.length > 0) {
+          publishRegistrationCounts(event);
+        }
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error splitting series', { error });
+      throw error;
+    }
+  },
+
+  // Get the detached row of one occurrence of a series, if it has one
+  findOccurrenceInstance(eventId, occurrenceDate) {
+    try {
+      return findDetachedInstanceStmt.get(eventId, new Date(occurrenceDate).toISOString());
+    } catch (error) {
+      logger.error('Error finding occurrence instance', { error });
+      throw error;
+    }
+  },
+
+  // Get the detached occurrences of a series (they override single occurrences)
+  findOccurrenceOverrides(eventId) {
+    try {
+      return findDetachedInstancesStmt.all(eventId);
+    } catch (error) {
+      logger.error('Error finding occurrence overrides', { error });
+      throw error;
+    }
+  },
+
+  // Get recently deleted events for a user's calendar feed ('events' or 'registrations')
+  getCancellations(userId, feed, since) {
+    try {
+      return getCancellationsStmt.all(userId, feed, since);
+    } catch (error) {
+      logger.error('Error getting event cancellations', { error });
+      throw error;
+    }
+  },
+
+  // Get the next occurrences of a recurring series
+  getUpcomingOccurrences(eventId, limit = 10) {
+    try {
+      return getUpcomingOccurrencesStmt
+        .all(eventId, new Date().toISOString(), limit)
+        .map(row => row.starts_at);
+    } catch (error) {
+      logger.error('Error getting upcoming occurrences', { error });
+      throw error;
+    }
+  },
+
+  // Regenerate occurrences of every series so the horizon keeps moving forward
+  refreshAllOccurrences() {
+    try {
+      const refresh = db.transaction(() => {
+        const series = findRecurringEventsStmt.all();
+        series.forEach(syncOccurrences);
+        return series.length;
+      });
+
+      return refresh();
+    } catch (error) {
+      logger.error('Error refreshing occurrences', { error });
+      throw error;
+    }
+  },
+
+  // Check whether an image file is still referenced by an event (optionally ignoring one)
+  isImageInUse(imageUrl, excludeEventId = null) {
+    try {
+      return !!findImageUseStmt.get(imageUrl, excludeEventId, imageUrl, excludeEventId);
+    } catch (error) {
+      logger.error('Error checking image usage', { error });
+      throw error;
+    }
+  },
+
+  // Register for event (joins the waitlist when the event is full). Answers to the
+  // event's registration questions are stored with the registration or waitlist entry.
+  // With an occurrence date, registers for that occurrence of a series only: it is
+  // detached into its own row once every check has passed, so a refused
+  // registration leaves nothing behind.
+  registerForEvent(eventId, userId, answers = null, { occurrence } = {}) {
     try {
       // Check if event exists
-      const event = this.findById(eventId);
-      if (!event) {
+      const series = this.findById(eventId);
+      if (!series) {
         return { error: 'EVENT_NOT_FOUND', message: 'Event not found' };
       }
 
+      let event = series;
+      let occurrenceToDetach = null;
+      if (occurrence !== undefined) {
+        if (!series.recurrence_rule) {
+          return { error: 'NOT_RECURRING', message: 'This event is not a recurring series' };
+        }
+
+        const startsAt = new Date(occurrence).toISOString();
+        event = findDetachedInstanceStmt.get(eventId, startsAt);
+        if (!event) {
+          if (!findOccurrenceStmt.get(eventId, startsAt)) {
+            return { error: 'OCCURRENCE_NOT_FOUND', message: 'The series has no occurrence at that date' };
+          }
+          // Checked like the row it will become
+          event = { ...series, date: startsAt, recurrence_rule: null, parent_event_id: series.id, recurrence_id: startsAt };
+          occurrenceToDetach = startsAt;
+        }
+      }
+
       // Check if user is trying to register for their own event
       if (event.user_id === userId) {
         return { error: 'SELF_REGISTRATION', message: 'You cannot register for your own event' };
       }
 
-      // Check if already registered
-      const existingRegistration = findRegistrationStmt.get(eventId, userId);
-      if (existingRegistration) {
-        return { error: 'ALREADY_REGISTERED', message: 'You are already registered for this event' };
-      }
-
-      // Check if event date has passed
-      const eventDate = new Date(event.date);
+      // Check if event date has passed (a series is past once its last occurrence is)
+      const lastStart = event.recurrence_rule ? event.recurrence_end : event.date;
       const now = new Date();
-      if (eventDate <= now) {
+      if (lastStart && new Date(lastStart) <= now) {
         return { error: 'EVENT_PAST', message: 'Cannot register for past events' };
       }
 
-      // Register for event
-      const result = registerForEventStmt.run(eventId, userId);
-      
-      if (result.changes === 0) {
-        return { error: 'REGISTRATION_FAILED', message: 'Failed to register for event' };
+      // Registering for a single occurrence is not needed when already on the whole series
+      if (event.parent_event_id && findRegistrationStmt.get(event.parent_event_id, userId)) {
+        return { error: 'ALREADY_REGISTERED', message: 'You are already registered for the whole series' };
       }
 
-      return { 
-        success: true, 
-        message: 'Successfully registered for event',
-        registration: {
-          id: result.lastInsertRowid,
-          event_id: eventId,
-          user_id: userId,
-          registered_at: new Date().toISOString()
+      const storedAnswers = answers ? JSON.stringify(answers) : null;
+
+      // Capacity check and insert run in one transaction so two concurrent
+      // registrations cannot both take the last seat
+      const register = db.transaction(() => {
+        if (occurrenceToDetach) {
+          event = this.findById(insertDetachedInstance(series, occurrenceToDetach));
         }
-      };
+
+        // Check if already registered or waitlisted
+        const existingRegistration = findRegistrationStmt.get(event.id, userId);
+        if (existingRegistration) {
+          return { error: 'ALREADY_REGISTERED', message: 'You are already registered for this event' };
+        }
+
+        const existingWaitlistEntry = findWaitlistEntryStmt.get(event.id, userId);
+        if (existingWaitlistEntry) {
+          const { position } = getWaitlistPositionStmt.get(event.id, existingWaitlistEntry.id);
+          return {
+            error: 'ALREADY_WAITLISTED',
+            message: `You are already on the waitlist for this event (position ${position})`
+          };
+        }
+
+        const confirmedCount = getRegistrationCountStmt.get(event.id).count;
+        const isFull = event.capacity !== null && confirmedCount >= event.capacity;
+
+        if (isFull) {
+          const result = addToWaitlistStmt.run(event.id, userId, storedAnswers);
+          const { position } = getWaitlistPositionStmt.get(event.id, result.lastInsertRowid);
+
+          return {
+            success: true,
+            waitlisted: true,
+            message: `Event is full. You have been added to the waitlist at position ${position}`,
+            waitlist: {
+              id: result.lastInsertRowid,
+              event_id: event.id,
+              user_id: userId,
+              position,
+              joined_at: new Date().toISOString(),
+              answers
+            }
+          };
+        }
+
+        // Register for event
+        const result = registerForEventStmt.run(event.id, userId, storedAnswers);
+
+        if (result.changes === 0) {
+          return { error: 'REGISTRATION_FAILED', message: 'Failed to register for event' };
+        }
+
+        return {
+          success: true,
+          waitlisted: false,
+          message: 'Successfully registered for event',
+          registration: {
+            id: result.lastInsertRowid,
+            event_id: event.id,
+            user_id: userId,
+            registered_at: new Date().toISOString(),
+            answers
+          }
+        };
+      });
+
+      const result = register();
+      if (occurrenceToDetach) {
+        publishEventChange('event.created', event, { event });
+      }
+      if (result.success) {
+        publishRegistrationCounts(event);
+      }
+      return result;
     } catch (error) {
       if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
         return { error: 'ALREADY_REGISTERED', message: 'You are already registered for this event' };
       }
-      console.error('Error registering for event:', error);
+      logger.error('Error registering for event', { error });
       throw error;
     }
   },
 
-  // Unregister from event
+  // Unregister from event (or leave its waitlist)
   unregisterFromEvent(eventId, userId) {
     try {
       // Check if event exists
@@ -225,22 +1065,98 @@ const eventsModel = {
         return { error: 'EVENT_NOT_FOUND', message: 'Event not found' };
       }
 
-      // Check if user is registered
-      const existingRegistration = findRegistrationStmt.get(eventId, userId);
-      if (!existingRegistration) {
-        return { error: 'NOT_REGISTERED', message: 'You are not registered for this event' };
-      }
+      // Removing the registration and promoting the next waitlisted user
+      // happen atomically so the freed seat cannot be lost
+      const unregister = db.transaction(() => {
+        // Check if user is registered
+        const existingRegistration = findRegistrationStmt.get(eventId, userId);
+        if (!existingRegistration) {
+          // Users on the waitlist can simply leave it
+          const waitlistResult = removeFromWaitlistStmt.run(eventId, userId);
+          if (waitlistResult.changes > 0) {
+            return { success: true, waitlisted: true, message: 'Successfully left the waitlist for this event' };
+          }
+          return { error: 'NOT_REGISTERED', message: 'You are not registered for this event' };
+        }
 
-      // Unregister from event
-      const result = unregisterFromEventStmt.run(eventId, userId);
-      
-      if (result.changes === 0) {
-        return { error: 'UNREGISTER_FAILED', message: 'Failed to unregister from event' };
+        // Unregister from event
+        const result = unregisterFromEventStmt.run(eventId, userId);
+
+        if (result.changes === 0) {
+          return { error: 'UNREGISTER_FAILED', message: 'Failed to unregister from event' };
+        }
+
+        const promotedUserIds = promoteFromWaitlist(event);
+
+        return {
+          success: true,
+          waitlisted: false,
+          message: 'Successfully unregistered from event',
+          promotedUserId: promotedUserIds.length > 0 ? promotedUserIds[0] : null
+        };
+      });
+
+      const result = unregister();
+      if (result.success) {
+        publishRegistrationCounts(event);
       }
+      return result;
+    } catch (error) {
+      logger.error('Error unregistering from event', { error });
+      throw error;
+    }
+  },
 
-      return { success: true, message: 'Successfully unregistered from event' };
+  // Record cancellations for the registrants of a user's events (series include
+  // their detached occurrences), so their calendar feeds mark the events as
+  // cancelled. Used before deleting an account, whose events go by cascade.
+  recordUserEventCancellations(userId) {
+    try {
+      const record = db.transaction(() => {
+        for (const event of findEventsByUserIdStmt.all(userId)) {
+          if (!event.parent_event_id) {
+            recordRegistrantCancellationsStmt.run(event.id, event.id);
+          }
+        }
+      });
+
+      record();
     } catch (error) {
-      console.error('Error unregistering from event:', error);
+      logger.error('Error recording user event cancellations', { error });
+      throw error;
+    }
+  },
+
+  // Remove all of a user's registrations and hand their seats to the waitlist
+  // (used before deleting an account, so cascades do not leave seats empty).
+  // Returns the events whose seats were freed with the users promoted into them.
+  releaseUserRegistrations(userId) {
+    try {
+      const release = db.transaction(() => {
+        const eventIds = findRegisteredEventIdsStmt.all(userId).map(row => row.event_id);
+        return eventIds.map(eventId => {
+          unregisterFromEventStmt.run(eventId, userId);
+          return { eventId, promotedUserIds: promoteFromWaitlist(this.findById(eventId)) };
+        });
+      });
+
+      return release();
+    } catch (error) {
+      logger.error('Error releasing user registrations', { error });
+      throw error;
+    }
+  },
+
+  // Tell listeners the current registration counts of an event, after a change
+  // committed outside this model (e.g. an account deletion)
+  publishRegistrationCounts(eventId) {
+    try {
+      const event = this.findById(eventId);
+      if (event) {
+        publishRegistrationCounts(event);
+      }
+    } catch (error) {
+      logger.error('Error publishing registration counts', { error });
       throw error;
     }
   },
@@ -250,7 +1166,39 @@ const eventsModel = {
     try {
       return getEventRegistrationsStmt.all(eventId);
     } catch (error) {
-      console.error('Error getting event registrations:', error);
+      logger.error('Error getting event registrations', { error });
+      throw error;
+    }
+  },
+
+  // Get the next batch of an event's registrations after a registration ID, in
+  // registration ID order (exports read large events batch by batch this way)
+  getEventRegistrationsAfter(eventId, afterId, limit) {
+    try {
+      return getEventRegistrationsAfterStmt.all(eventId, afterId, limit);
+    } catch (error) {
+      logger.error('Error getting event registrations', { error });
+      throw error;
+    }
+  },
+
+  // Get event waitlist in promotion order (for event owners)
+  getEventWaitlist(eventId) {
+    try {
+      return getEventWaitlistStmt.all(eventId);
+    } catch (error) {
+      logger.error('Error getting event waitlist', { error });
+      throw error;
+    }
+  },
+
+  // Get waitlist count for an event
+  getWaitlistCount(eventId) {
+    try {
+      const result = getWaitlistCountStmt.get(eventId);
+      return result.count;
+    } catch (error) {
+      logger.error('Error getting waitlist count', { error });
       throw error;
     }
   },
@@ -260,7 +1208,39 @@ const eventsModel = {
     try {
       return getUserRegistrationsStmt.all(userId);
     } catch (error) {
-      console.error('Error getting user registrations:', error);
+      logger.error('Error getting user registrations', { error });
+      throw error;
+    }
+  },
+
+  // Query a user's registered events with filters, sorting and pagination
+  queryUserRegistrations(userId, options = {}) {
+    try {
+      const { clauses, params } = buildEventFilters(options);
+      clauses.unshift('er.user_id = ?');
+      params.unshift(userId);
+      const where = `WHERE ${clauses.join(' AND ')}`;
+
+      const { total } = db.prepare(`
+        SELECT COUNT(*) as total
+        FROM event_registrations er
+        JOIN event_listing e ON er.event_id = e.id
+        ${where}
+      `).get(...params);
+      const registrations = db.prepare(`
+        SELECT e.*, er.id as registration_id, er.registered_at, er.checked_in_at, er.answers,
+               u.email as owner_email, u.name as owner_name
+        FROM event_registrations er
+        JOIN event_listing e ON er.event_id = e.id
+        JOIN users u ON e.user_id = u.id
+        ${where}
+        ${buildOrderBy(options.sort)}
+        LIMIT ? OFFSET ?
+      `).all(...params, options.limit ?? -1, options.offset ?? 0);
+
+      return { registrations, total };
+    } catch (error) {
+      logger.error('Error querying user registrations', { error });
       throw error;
     }
   },
@@ -271,7 +1251,51 @@ const eventsModel = {
       const result = getRegistrationCountStmt.get(eventId);
       return result.count;
     } catch (error) {
-      console.error('Error getting registration count:', error);
+      logger.error('Error getting registration count', { error });
+      throw error;
+    }
+  },
+
+  // Find a user's registration for an event
+  findRegistration(eventId, userId) {
+    try {
+      return findRegistrationStmt.get(eventId, userId);
+    } catch (error) {
+      logger.error('Error finding registration', { error });
+      throw error;
+    }
+  },
+
+  // Find a registration by ID, with the registered user's email and name
+  findRegistrationById(id) {
+    try {
+      return findRegistrationByIdStmt.get(id);
+    } catch (error) {
+      logger.error('Error finding registration by ID', { error });
+      throw error;
+    }
+  },
+
+  // Record that a registration's ticket was scanned at the door (once)
+  checkIn(registrationId, checkedInBy) {
+    try {
+      const result = checkInRegistrationStmt.run(new Date().toISOString(), checkedInBy, registrationId);
+      const registration = this.findRegistrationById(registrationId);
+
+      if (!registration) {
+        return { error: 'TICKET_NOT_FOUND', message: 'This ticket is no longer valid: the registration was cancelled' };
+      }
+      if (result.changes === 0) {
+        return {
+          error: 'ALREADY_CHECKED_IN',
+          message: `This ticket was already checked in at ${registration.checked_in_at}`,
+          registration
+        };
+      }
+
+      return { success: true, registration };
+    } catch (error) {
+      logger.error('Error checking in registration', { error });
       throw error;
     }
   },
@@ -282,7 +1306,7 @@ const eventsModel = {
       const registration = findRegistrationStmt.get(eventId, userId);
       return !!registration;
     } catch (error) {
-      console.error('Error checking registration status:', error);
+      logger.error('Error checking registration status', { error });
       throw error;
     }
   }
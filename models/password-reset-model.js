@@ -0,0 +1,68 @@
+import db from './database.js';
+import logger from '../util/logger.js';
+
+// Prepared statements for better performance
+const createResetTokenStmt = db.prepare(`
+  INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) 
+  VALUES (?, ?, ?)
+`);
+const invalidateUserTokensStmt = db.prepare(`
+  UPDATE password_reset_tokens 
+  SET used_at = CURRENT_TIMESTAMP 
+  WHERE user_id = ? AND used_at IS NULL
+`);
+const findResetTokenStmt = db.prepare(`
+  SELECT * FROM password_reset_tokens WHERE token_hash = ?
+`);
+const markResetTokenUsedStmt = db.prepare(`
+  UPDATE password_reset_tokens 
+  SET used_at = CURRENT_TIMESTAMP 
+  WHERE id = ? AND used_at IS NULL
+`);
+
+// Password reset model functions
+const passwordResetModel = {
+  // Store a new reset token, invalidating any earlier unused ones for the user
+  createToken(userId, tokenHash, expiresAt) {
+    try {
+      const create = db.transaction(() => {
+        invalidateUserTokensStmt.run(userId);
+        createResetTokenStmt.run(userId, tokenHash, expiresAt);
+      });
+      create();
+    } catch (error) {
+      logger.error('Error creating password reset token', { error });
+      throw error;
+    }
+  },
+
+  // Mark a token as used and return its user ID; each token works only once
+  consumeToken(tokenHash) {
+    try {
+      const consume = db.transaction(() => {
+        const token = findResetTokenStmt.get(tokenHash);
+        if (!token || token.used_at) {
+          return { error: 'INVALID_RESET_TOKEN', message: 'Invalid or already used reset token' };
+        }
+
+        if (new Date(token.expires_at) <= new Date()) {
+          return { error: 'RESET_TOKEN_EXPIRED', message: 'Reset token has expired' };
+        }
+
+        const result = markResetTokenUsedStmt.run(token.id);
+        if (result.changes === 0) {
+          return { error: 'INVALID_RESET_TOKEN', message: 'Invalid or already used reset token' };
+        }
+
+        return { success: true, userId: token.user_id };
+      });
+
+      return consume();
+    } catch (error) {
+      logger.error('Error consuming password reset token', { error });
+      throw error;
+    }
+  }
+};
+
+export default passwordResetModel;
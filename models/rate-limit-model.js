@@ -0,0 +1,62 @@
+import db from './database.js';
+import logger from '../util/logger.js';
+
+// Prepared statements for better performance
+// A counter whose window has ended starts over at 1 with a new window
+const incrementStmt = db.prepare(`
+  INSERT INTO rate_limits (key, count, reset_at) 
+  VALUES (@key, 1, @resetAt)
+  ON CONFLICT (key) DO UPDATE SET 
+    count = CASE WHEN reset_at <= @now THEN 1 ELSE count + 1 END,
+    reset_at = CASE WHEN reset_at <= @now THEN @resetAt ELSE reset_at END
+  RETURNING count, reset_at
+`);
+const findStmt = db.prepare('SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?');
+const deleteStmt = db.prepare('DELETE FROM rate_limits WHERE key = ?');
+const deleteExpiredStmt = db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?');
+
+// Rate limit model functions
+const rateLimitModel = {
+  // Count a hit for a key and return the counter of its current window
+  increment(key, windowMs) {
+    try {
+      const now = Date.now();
+      return incrementStmt.get({ key, now, resetAt: now + windowMs });
+    } catch (error) {
+      logger.error('Error incrementing rate limit counter', { error });
+      throw error;
+    }
+  },
+
+  // Find the counter of a key, unless its window has ended
+  find(key) {
+    try {
+      return findStmt.get(key, Date.now());
+    } catch (error) {
+      logger.error('Error finding rate limit counter', { error });
+      throw error;
+    }
+  },
+
+  // Remove the counter of a key
+  delete(key) {
+    try {
+      deleteStmt.run(key);
+    } catch (error) {
+      logger.error('Error deleting rate limit counter', { error });
+      throw error;
+    }
+  },
+
+  // Remove counters whose window has ended
+  deleteExpired() {
+    try {
+      return deleteExpiredStmt.run(Date.now()).changes;
+    } catch (error) {
+      logger.error('Error deleting expired rate limit counters', { error });
+      throw error;
+    }
+  }
+};
+
+export default rateLimitModel;
@@ -0,0 +1,156 @@
+import db from './database.js';
+import logger from '../util/logger.js';
+
+// Prepared statements for better performance
+const createSessionStmt = db.prepare(`
+  INSERT INTO user_sessions (id, user_id) 
+  VALUES (?, ?)
+`);
+const findSessionByIdStmt = db.prepare('SELECT * FROM user_sessions WHERE id = ?');
+const revokeSessionStmt = db.prepare(`
+  UPDATE user_sessions 
+  SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? 
+  WHERE id = ? AND revoked_at IS NULL
+`);
+const revokeUserSessionsStmt = db.prepare(`
+  UPDATE user_sessions 
+  SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? 
+  WHERE user_id = ? AND revoked_at IS NULL
+`);
+const revokeOtherUserSessionsStmt = db.prepare(`
+  UPDATE user_sessions 
+  SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? 
+  WHERE user_id = ? AND id != ? AND revoked_at IS NULL
+`);
+const createRefreshTokenStmt = db.prepare(`
+  INSERT INTO refresh_tokens (session_id, token_hash, expires_at) 
+  VALUES (?, ?, ?)
+`);
+const findRefreshTokenStmt = db.prepare(`
+  SELECT rt.*, s.user_id, s.revoked_at 
+  FROM refresh_tokens rt
+  JOIN user_sessions s ON rt.session_id = s.id
+  WHERE rt.token_hash = ?
+`);
+const markRefreshTokenUsedStmt = db.prepare(`
+  UPDATE refresh_tokens 
+  SET used_at = CURRENT_TIMESTAMP 
+  WHERE id = ? AND used_at IS NULL
+`);
+
+// Session model functions
+const sessionModel = {
+  // Create a session with its first refresh token
+  createSession(sessionId, userId, tokenHash, expiresAt) {
+    try {
+      const create = db.transaction(() => {
+        createSessionStmt.run(sessionId, userId);
+        createRefreshTokenStmt.run(sessionId, tokenHash, expiresAt);
+      });
+      create();
+      return this.findById(sessionId);
+    } catch (error) {
+      logger.error('Error creating session', { error });
+      throw error;
+    }
+  },
+
+  // Find session by ID
+  findById(sessionId) {
+    try {
+      return findSessionByIdStmt.get(sessionId);
+    } catch (error) {
+      logger.error('Error finding session by ID', { error });
+      throw error;
+    }
+  },
+
+  // Check whether a session exists and has not been revoked
+  isSessionActive(sessionId) {
+    try {
+      const session = findSessionByIdStmt.get(sessionId);
+      return !!session && session.revoked_at === null;
+    } catch (error) {
+      logger.error('Error checking session status', { error });
+      throw error;
+    }
+  },
+
+  // Exchange a refresh token for a new one in the same session.
+  // Presenting an already used token means it leaked, so the whole session is revoked.
+  rotateRefreshToken(tokenHash, newTokenHash, newExpiresAt) {
+    try {
+      const rotate = db.transaction(() => {
+        const existingToken = findRefreshTokenStmt.get(tokenHash);
+        if (!existingToken) {
+          return { error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+        }
+
+        if (existingToken.revoked_at) {
+          return { error: 'SESSION_REVOKED', message: 'This session has been revoked' };
+        }
+
+        if (existingToken.used_at) {
+          revokeSessionStmt.run('REFRESH_TOKEN_REUSE', existingToken.session_id);
+          return {
+            error: 'REFRESH_TOKEN_REUSED',
+            message: 'Refresh token has already been used. The session has been revoked for safety'
+          };
+        }
+
+        if (new Date(existingToken.expires_at) <= new Date()) {
+          return { error: 'REFRESH_TOKEN_EXPIRED', message: 'Refresh token has expired' };
+        }
+
+        markRefreshTokenUsedStmt.run(existingToken.id);
+        createRefreshTokenStmt.run(existingToken.session_id, newTokenHash, newExpiresAt);
+
+        return {
+          success: true,
+          sessionId: existingToken.session_id,
+          userId: existingToken.user_id
+        };
+      });
+
+      return rotate();
+    } catch (error) {
+      logger.error('Error rotating refresh token', { error });
+      throw error;
+    }
+  },
+
+  // Revoke a single session (logout)
+  revokeSession(sessionId, reason = 'LOGOUT') {
+    try {
+      const result = revokeSessionStmt.run(reason, sessionId);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error revoking session', { error });
+      throw error;
+    }
+  },
+
+  // Revoke every session of a user (logout from all devices)
+  revokeAllUserSessions(userId, reason = 'LOGOUT_ALL') {
+    try {
+      const result = revokeUserSessionsStmt.run(reason, userId);
+      return result.changes;
+    } catch (error) {
+      logger.error('Error revoking user sessions', { error });
+      throw error;
+    }
+  },
+
+  // Revoke every session of a user except the given one
+  revokeOtherUserSessions(userId, keepSessionId, reason) {
+    try {
+      const result = revokeOtherUserSessionsStmt.run(reason, userId, keepSessionId ?? '');
+      return result.changes;
+    } catch (error) {
+      logger.error('Error revoking other user sessions', { error });
+      throw error;
+    }
+  }
+};
+
+export default sessionModel;
@@ -1,5 +1,10 @@
 import db from './database.js';
 import bcrypt from 'bcrypt';
+import eventsModel from './events-model.js';
+import logger from '../util/logger.js';
+import { publishEventChange } from '../util/event-bus.js';
+
+const SALT_ROUNDS = 12;
 
 // Prepared statements for better performance
 const getAllUsersStmt = db.prepare('SELECT * FROM users');
@@ -17,6 +22,20 @@ const updateUserStmt = db.prepare(`
   WHERE id = ?
 `);
 const deleteUserStmt = db.prepare('DELETE FROM users WHERE id = ?');
+const markEmailVerifiedStmt = db.prepare(`
+  UPDATE users 
+  SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) 
+  WHERE id = ? AND email = ?
+`);
+const clearEmailVerifiedStmt = db.prepare('UPDATE users SET email_verified_at = NULL WHERE id = ?');
+const setCalendarTokenHashStmt = db.prepare('UPDATE users SET calendar_token_hash = ? WHERE id = ?');
+const findByCalendarTokenHashStmt = db.prepare('SELECT * FROM users WHERE calendar_token_hash = ?');
+const setRoleStmt = db.prepare('UPDATE users SET role = ? WHERE id = ?');
+const setDisabledStmt = db.prepare(`
+  UPDATE users 
+  SET disabled_at = CASE WHEN ? THEN COALESCE(disabled_at, CURRENT_TIMESTAMP) ELSE NULL END 
+  WHERE id = ?
+`);
 
 // User model functions
 const userModel = {
@@ -25,7 +44,7 @@ const userModel = {
     try {
       return getAllUsersStmt.all();
     } catch (error) {
-      console.error('Error getting all users:', error);
+      logger.error('Error getting all users', { error });
       throw error;
     }
   },
@@ -35,7 +54,7 @@ const userModel = {
     try {
       return findByEmailStmt.get(email);
     } catch (error) {
-      console.error('Error finding user by email:', error);
+      logger.error('Error finding user by email', { error });
       throw error;
     }
   },
@@ -45,7 +64,7 @@ const userModel = {
     try {
       return findByIdStmt.get(id);
     } catch (error) {
-      console.error('Error finding user by ID:', error);
+      logger.error('Error finding user by ID', { error });
       throw error;
     }
   },
@@ -54,8 +73,7 @@ const userModel = {
   async createUser(userData) {
     try {
       // Hash the password before storing
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
+      const hashedPassword = await bcrypt.hash(userData.password, SALT_ROUNDS);
       
       const result = createUserStmt.run(
         userData.email,
@@ -66,7 +84,7 @@ const userModel = {
       // Return the created user
       return this.findById(result.lastInsertRowid);
     } catch (error) {
-      console.error('Error creating user:', error);
+      logger.error('Error creating user', { error });
       throw error;
     }
   },
@@ -86,20 +104,24 @@ const userModel = {
       }
       return null;
     } catch (error) {
-      console.error('Error verifying credentials:', error);
+      logger.error('Error verifying credentials', { error });
       throw error;
     }
   },
 
   
 
-  // Update user
-  updateUser(id, updateData) {
+  // Update user (a new password is hashed before storing)
+  async updateUser(id, updateData) {
     try {
+      const hashedPassword = updateData.password
+        ? await bcrypt.hash(updateData.password, SALT_ROUNDS)
+        : null;
+
       const result = updateUserStmt.run(
         updateData.email || null,
-        updateData.password || null,
-        updateData.name || null,
+        hashedPassword,
+        updateData.name ?? null,
         id
       );
       
@@ -109,18 +131,100 @@ const userModel = {
       
       return this.findById(id);
     } catch (error) {
-      console.error('Error updating user:', error);
+      logger.error('Error updating user', { error });
       throw error;
     }
   },
 
-  // Delete user
+  // Delete user (events, registrations and sessions are removed by cascade).
+  // Returns the registrations that were released (see eventsModel.releaseUserRegistrations),
+  // or null when there is no such user.
   deleteUser(id) {
     try {
-      const result = deleteUserStmt.run(id);
+      const removeUser = db.transaction(() => {
+        // Free the user's seats first so waitlisted users get promoted
+        const releasedRegistrations = eventsModel.releaseUserRegistrations(id);
+        const ownedEvents = eventsModel.findByUserId(id);
+        // Registrants' calendar feeds show the user's events as cancelled
+        eventsModel.recordUserEventCancellations(id);
+        const result = deleteUserStmt.run(id);
+        return { deleted: result.changes > 0, releasedRegistrations, ownedEvents };
+      });
+
+      const { deleted, releasedRegistrations, ownedEvents } = removeUser();
+      if (!deleted) {
+        return null;
+      }
+
+      ownedEvents.forEach(event => publishEventChange('event.deleted', event));
+      releasedRegistrations.forEach(({ eventId }) => eventsModel.publishRegistrationCounts(eventId));
+      return { releasedRegistrations };
+    } catch (error) {
+      logger.error('Error deleting user', { error });
+      throw error;
+    }
+  },
+
+  // Mark a user's email as verified, as long as it has not changed since the token was issued
+  markEmailVerified(id, email) {
+    try {
+      const result = markEmailVerifiedStmt.run(id, email);
+      return result.changes > 0 ? this.findById(id) : null;
+    } catch (error) {
+      logger.error('Error marking email as verified', { error });
+      throw error;
+    }
+  },
+
+  // Reset verification status (after the email address changes)
+  clearEmailVerified(id) {
+    try {
+      clearEmailVerifiedStmt.run(id);
+    } catch (error) {
+      logger.error('Error clearing email verification', { error });
+      throw error;
+    }
+  },
+
+  // Store (or clear with null) the hash of a user's calendar feed token
+  setCalendarTokenHash(id, tokenHash) {
+    try {
+      const result = setCalendarTokenHashStmt.run(tokenHash, id);
       return result.changes > 0;
     } catch (error) {
-      console.error('Error deleting user:', error);
+      logger.error('Error setting calendar token', { error });
+      throw error;
+    }
+  },
+
+  // Find the user a calendar feed token belongs to
+  findByCalendarTokenHash(tokenHash) {
+    try {
+      return findByCalendarTokenHashStmt.get(tokenHash);
+    } catch (error) {
+      logger.error('Error finding user by calendar token', { error });
+      throw error;
+    }
+  },
+
+  // Change a user's role
+  setRole(id, role) {
+    try {
+      const result = setRoleStmt.run(role, id);
+      return result.changes > 0 ? this.findById(id) : null;
+    } catch (error) {
+      logger.error('Error setting user role', { error });
+      throw error;
+    }
+  },
+
+  // Disable or re-enable a user account
+  setDisabled(id, disabled) {
+    try {
+      const result = setDisabledStmt.run(disabled ? 1 : 0, id);
+      return result.changes > 0 ? this.findById(id) : null;
+    } catch (error) {
+      logger.error('Error setting user disabled state', { error });
       throw error;
     }
   },
@@ -130,7 +234,7 @@ const userModel = {
     try {
       return await this.verifyCredentials(email, password);
     } catch (error) {
-      console.error('Error validating credentials:', error);
+      logger.error('Error validating credentials', { error });
       throw error;
     }
   }
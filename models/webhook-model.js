@@ -0,0 +1,271 @@
+import db from './database.js';
+import logger from '../util/logger.js';
+
+// Prepared statements for better performance
+const createWebhookStmt = db.prepare(`
+  INSERT INTO webhooks (user_id, url, secret, events, description)
+  VALUES (?, ?, ?, ?, ?)
+`);
+const findWebhookByIdStmt = db.prepare('SELECT * FROM webhooks WHERE id = ?');
+const findWebhooksByUserIdStmt = db.prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY id ASC');
+// Webhooks of the event owner only: notifications carry registrant details,
+// so they never go to anyone else's endpoints (admins included)
+const findSubscribersStmt = db.prepare(`
+  SELECT * FROM webhooks
+  WHERE active = 1
+    AND (',' || events || ',') LIKE '%,' || ? || ',%'
+    AND user_id = ?
+`);
+const updateWebhookStmt = db.prepare(`
+  UPDATE webhooks
+  SET url = COALESCE(@url, url),
+      events = COALESCE(@events, events),
+      description = CASE WHEN @setDescription THEN @description ELSE description END,
+      active = COALESCE(@active, active),
+      secret = COALESCE(@secret, secret),
+      updated_at = CURRENT_TIMESTAMP
+  WHERE id = @id
+`);
+const deleteWebhookStmt = db.prepare('DELETE FROM webhooks WHERE id = ?');
+
+const createDeliveryStmt = db.prepare(`
+  INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+  VALUES (?, ?, ?, ?, ?)
+`);
+// Leases due deliveries to one worker; an expired lease (crashed worker) can be claimed again
+const claimDueDeliveriesStmt = db.prepare(`
+  UPDATE webhook_deliveries
+  SET locked_until = @lockedUntil
+  WHERE id IN (
+    SELECT id FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= @now
+      AND (locked_until IS NULL OR locked_until <= @now)
+    ORDER BY next_attempt_at ASC
+    LIMIT @limit
+  )
+  RETURNING *
+`);
+const createAttemptStmt = db.prepare(`
+  INSERT INTO webhook_delivery_attempts (delivery_id, attempted_at, duration_ms, response_status, response_body, error)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+const updateDeliveryResultStmt = db.prepare(`
+  UPDATE webhook_deliveries
+  SET status = @status,
+      attempts = attempts + 1,
+      next_attempt_at = @nextAttemptAt,
+      locked_until = NULL,
+      last_response_status = @responseStatus,
+      last_error = @error,
+      completed_at = @completedAt
+  WHERE id = @id
+`);
+const countDeliveriesStmt = db.prepare(`
+  SELECT COUNT(*) AS count FROM webhook_deliveries
+  WHERE webhook_id = @webhookId AND (@status IS NULL OR status = @status)
+`);
+const queryDeliveriesStmt = db.prepare(`
+  SELECT id, webhook_id, event_id, event_type, status, attempts, next_attempt_at,
+         last_response_status, last_error, created_at, completed_at
+  FROM webhook_deliveries
+  WHERE webhook_id = @webhookId AND (@status IS NULL OR status = @status)
+  ORDER BY id DESC
+  LIMIT @limit OFFSET @offset
+`);
+const findDeliveryStmt = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?');
+const findDeliveryAttemptsStmt = db.prepare(`
+  SELECT id, attempted_at, duration_ms, response_status, response_body, error
+  FROM webhook_delivery_attempts
+  WHERE delivery_id = ?
+  ORDER BY id ASC
+`);
+const requeueDeliveryStmt = db.prepare(`
+  UPDATE webhook_deliveries
+  SET status = 'pending', attempts = 0, next_attempt_at = ?, locked_until = NULL, completed_at = NULL
+  WHERE id = ? AND status != 'pending'
+`);
+const deleteCompletedDeliveriesStmt = db.prepare(`
+  DELETE FROM webhook_deliveries WHERE status != 'pending' AND completed_at < ?
+`);
+
+// Webhook model functions
+const webhookModel = {
+  // Create a webhook subscribed to the given event types
+  createWebhook({ userId, url, secret, events, description = null }) {
+    try {
+      const result = createWebhookStmt.run(userId, url, secret, events.join(','), description);
+      return this.findById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating webhook', { error });
+      throw error;
+    }
+  },
+
+  // Find webhook by ID
+  findById(id) {
+    try {
+      return findWebhookByIdStmt.get(id);
+    } catch (error) {
+      logger.error('Error finding webhook by ID', { error });
+      throw error;
+    }
+  },
+
+  // Find the webhooks of a user
+  findByUserId(userId) {
+    try {
+      return findWebhooksByUserIdStmt.all(userId);
+    } catch (error) {
+      logger.error('Error finding webhooks by user ID', { error });
+      throw error;
+    }
+  },
+
+  // Find the active webhooks to notify about an event type for an event owner's event
+  findSubscribers(eventType, ownerId) {
+    try {
+      return findSubscribersStmt.all(eventType, ownerId);
+    } catch (error) {
+      logger.error('Error finding webhook subscribers', { error });
+      throw error;
+    }
+  },
+
+  // Update a webhook's URL, event types, description, active flag or secret
+  updateWebhook(id, { url, events, description, active, secret }) {
+    try {
+      updateWebhookStmt.run({
+        id,
+        url: url ?? null,
+        events: events ? events.join(',') : null,
+        setDescription: description !== undefined ? 1 : 0,
+        description: description ?? null,
+        active: active === undefined ? null : Number(active),
+        secret: secret ?? null
+      });
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating webhook', { error });
+      throw error;
+    }
+  },
+
+  // Delete a webhook (its deliveries are removed by cascade)
+  deleteWebhook(id) {
+    try {
+      const result = deleteWebhookStmt.run(id);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error deleting webhook', { error });
+      throw error;
+    }
+  },
+
+  // Queue one delivery of a notification per webhook, due now
+  createDeliveries(webhooks, { eventId, eventType, payload }) {
+    try {
+      const now = new Date().toISOString();
+      const create = db.transaction(() => webhooks.map(webhook =>
+        createDeliveryStmt.run(webhook.id, eventId, eventType, payload, now).lastInsertRowid
+      ));
+      return create();
+    } catch (error) {
+      logger.error('Error creating webhook deliveries', { error });
+      throw error;
+    }
+  },
+
+  // Lease up to `limit` due deliveries for `leaseMs` milliseconds
+  claimDueDeliveries(limit, leaseMs) {
+    try {
+      const now = new Date();
+      return claimDueDeliveriesStmt.all({
+        now: now.toISOString(),
+        lockedUntil: new Date(now.getTime() + leaseMs).toISOString(),
+        limit
+      });
+    } catch (error) {
+      logger.error('Error claiming webhook deliveries', { error });
+      throw error;
+    }
+  },
+
+  // Log a delivery attempt and move the delivery on: 'succeeded', 'failed' (no more
+  // retries) or back to 'pending' until nextAttemptAt
+  recordAttempt(deliveryId, { attemptedAt, durationMs, responseStatus = null, responseBody = null, error = null, status, nextAttemptAt = null }) {
+    try {
+      const record = db.transaction(() => {
+        createAttemptStmt.run(deliveryId, attemptedAt, durationMs, responseStatus, responseBody, error);
+        updateDeliveryResultStmt.run({
+          id: deliveryId,
+          status,
+          nextAttemptAt,
+          responseStatus,
+          error,
+          completedAt: status === 'pending' ? null : new Date().toISOString()
+        });
+      });
+      record();
+    } catch (error) {
+      logger.error('Error recording webhook delivery attempt', { error });
+      throw error;
+    }
+  },
+
+  // Get a page of a webhook's deliveries, newest first (optionally only one status)
+  queryDeliveries(webhookId, { limit, offset, status = null }) {
+    try {
+      const params = { webhookId, status, limit, offset };
+      return {
+        deliveries: queryDeliveriesStmt.all(params),
+        total: countDeliveriesStmt.get(params).count
+      };
+    } catch (error) {
+      logger.error('Error querying webhook deliveries', { error });
+      throw error;
+    }
+  },
+
+  // Find a delivery of a webhook together with its attempts
+  findDelivery(webhookId, deliveryId) {
+    try {
+      const delivery = findDeliveryStmt.get(deliveryId, webhookId);
+      return delivery ? { ...delivery, attempts_log: findDeliveryAttemptsStmt.all(deliveryId) } : undefined;
+    } catch (error) {
+      logger.error('Error finding webhook delivery', { error });
+      throw error;
+    }
+  },
+
+  // Queue a finished delivery again, with a fresh set of retries
+  redeliver(webhookId, deliveryId) {
+    try {
+      const delivery = findDeliveryStmt.get(deliveryId, webhookId);
+      if (!delivery) {
+        return { error: 'DELIVERY_NOT_FOUND', message: 'Delivery not found' };
+      }
+
+      const result = requeueDeliveryStmt.run(new Date().toISOString(), deliveryId);
+      if (result.changes === 0) {
+        return { error: 'DELIVERY_PENDING', message: 'This delivery is still pending' };
+      }
+
+      return { success: true, delivery: this.findDelivery(webhookId, deliveryId) };
+    } catch (error) {
+      logger.error('Error requeueing webhook delivery', { error });
+      throw error;
+    }
+  },
+
+  // Remove finished deliveries (and their attempts) completed before a date
+  deleteCompletedDeliveries(before) {
+    try {
+      return deleteCompletedDeliveriesStmt.run(before).changes;
+    } catch (error) {
+      logger.error('Error deleting old webhook deliveries', { error });
+      throw error;
+    }
+  }
+};
+
+export default webhookModel;
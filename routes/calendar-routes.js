@@ -0,0 +1,14 @@
+import express from 'express';
+import calendarController from '../controllers/calendar-controller.js';
+
+const router = express.Router();
+
+// Calendar feeds are fetched by calendar apps, which cannot send a JWT;
+// the unguessable token in the URL authenticates them instead
+// GET /calendar/:token/my-events.ics - Feed of the events the user created
+router.get('/:token/my-events.ics', calendarController.getMyEventsFeed);
+
+// GET /calendar/:token/registrations.ics - Feed of the events the user registered for
+router.get('/:token/registrations.ics', calendarController.getRegistrationsFeed);
+
+export default router;
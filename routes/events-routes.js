@@ -1,42 +1,104 @@
 import express from 'express';
 import eventsController from '../controllers/events-controller.js';
-import { authenticateToken } from '../util/auth.js';
-import { uploadEventImage, handleUploadError } from '../util/upload.js';
+import calendarController from '../controllers/calendar-controller.js';
+import eventImageController from '../controllers/event-image-controller.js';
+import eventQuestionController from '../controllers/event-question-controller.js';
+import eventStreamController from '../controllers/event-stream-controller.js';
+import { authenticateToken, acceptTokenFromQuery, requireVerifiedEmail } from '../util/auth.js';
+import { uploadEventImage, uploadEventImages, uploadImportFile, handleUploadError, processEventImage } from '../util/upload.js';
+import { validateBody } from '../util/validation.js';
+import schemas from '../util/schemas.js';
 
 const router = express.Router();
 
+// GET /events/stream - Server-Sent Events for event changes and registration counts
+// (events=1,2,3 limits it to those events; EventSource clients may pass access_token=<JWT>)
+router.get('/stream', acceptTokenFromQuery, authenticateToken, eventStreamController.streamEvents);
+
 // All event routes require authentication
 router.use(authenticateToken);
 
-// POST /events - Create new event (with optional image upload)
-router.post('/', uploadEventImage, handleUploadError, eventsController.createEvent);
+// Upload routes validate the form fields before any image is processed or stored
+
+// POST /events - Create new event (with optional image upload, verified email may be required)
+router.post('/', requireVerifiedEmail, uploadEventImage, handleUploadError, validateBody(schemas.CreateEventRequest), processEventImage, eventsController.createEvent);
 
-// GET /events - Get all events
+// POST /events/import - Create events from a CSV or iCalendar file ("file" field;
+// dry_run=true only reports per row, verified email may be required)
+router.post('/import', requireVerifiedEmail, uploadImportFile, validateBody(schemas.ImportEventsRequest), eventsController.importEvents);
+
+// GET /events - Get all events (supports limit, offset, from, to, owner, hasImage, when and sort)
 router.get('/', eventsController.getAllEvents);
 
-// GET /events/my - Get current user's events
+// GET /events/search?q= - Full-text search over title, description and address
+router.get('/search', eventsController.searchEvents);
+
+// GET /events/nearby?lat=&lng=&radius= - Events within radius km of a point, nearest first
+// (same filters, sorting and paging as GET /events)
+router.get('/nearby', eventsController.getNearbyEvents);
+
+// GET /events/my - Get current user's events (same query options as GET /events)
 router.get('/my', eventsController.getUserEvents);
 
 // GET /events/:id - Get event by ID
 router.get('/:id', eventsController.getEventById);
 
-// PUT /events/:id - Update event (with optional image upload)
-router.put('/:id', uploadEventImage, handleUploadError, eventsController.updateEvent);
+// GET /events/:id/calendar.ics - Download an event (or series) as an iCalendar file
+router.get('/:id/calendar.ics', calendarController.getEventCalendar);
+
+// PUT /events/:id - Update event (owner or admin, with optional image upload;
+// for series, scope=occurrence|following with occurrence=<ISO date> limits the change)
+router.put('/:id', uploadEventImage, handleUploadError, validateBody(schemas.UpdateEventRequest), processEventImage, eventsController.updateEvent);
 
-// DELETE /events/:id - Delete event
+// DELETE /events/:id - Delete event (owner or admin)
 router.delete('/:id', eventsController.deleteEvent);
 
 // Event registration routes
-// POST /events/:id/register - Register for an event
-router.post('/:id/register', eventsController.registerForEvent);
+// POST /events/:id/register - Register for an event (joins the waitlist when full;
+// for series, occurrence=<ISO date> registers for a single occurrence; answers
+// to the event's registration questions go in answers)
+router.post('/:id/register', requireVerifiedEmail, validateBody(schemas.RegisterForEventRequest), eventsController.registerForEvent);
 
-// DELETE /events/:id/unregister - Unregister from an event  
+// DELETE /events/:id/unregister - Unregister from an event or leave its waitlist
 router.delete('/:id/unregister', eventsController.unregisterFromEvent);
 
-// GET /events/:id/registrations - Get event registrations (only for event owner)
+// GET /events/:id/ticket - Current user's ticket as a QR code (format=png|svg) or JSON (format=json)
+router.get('/:id/ticket', eventsController.getTicket);
+
+// POST /events/:id/checkin - Check in an attendee by ticket code (event owner or admin)
+router.post('/:id/checkin', validateBody(schemas.CheckInRequest), eventsController.checkIn);
+
+// GET /events/:id/registrations - Get event registrations waitlist and attendance (event owner or admin)
 router.get('/:id/registrations', eventsController.getEventRegistrations);
 
-// GET /events/registrations/my - Get current user's registered events
+// GET /events/:id/registrations/export - Download the attendee list (format=csv|json|xlsx; event owner or admin)
+router.get('/:id/registrations/export', eventsController.exportRegistrations);
+
+// Registration question routes
+// GET /events/:id/questions - Get the questions attendees answer when registering
+router.get('/:id/questions', eventQuestionController.getQuestions);
+
+// PUT /events/:id/questions - Replace the registration questions (event owner or admin)
+router.put('/:id/questions', validateBody(schemas.SetRegistrationQuestionsRequest), eventQuestionController.setQuestions);
+
+// Event image gallery routes
+// GET /events/:id/images - Get an event's images in display order
+router.get('/:id/images', eventImageController.getImages);
+
+// POST /events/:id/images - Upload images to the gallery (event owner or admin;
+// "images" files, optional "captions" in the same order and cover=true)
+router.post('/:id/images', uploadEventImages, handleUploadError, validateBody(schemas.AddEventImagesRequest), processEventImage, eventImageController.addImages);
+
+// PUT /events/:id/images/order - Reorder the gallery (event owner or admin)
+router.put('/:id/images/order', validateBody(schemas.ReorderEventImagesRequest), eventImageController.reorderImages);
+
+// PUT /events/:id/images/:imageId - Change an image's caption or make it the cover (event owner or admin)
+router.put('/:id/images/:imageId', validateBody(schemas.UpdateEventImageRequest), eventImageController.updateImage);
+
+// DELETE /events/:id/images/:imageId - Remove an image from the gallery (event owner or admin)
+router.delete('/:id/images/:imageId', eventImageController.deleteImage);
+
+// GET /events/registrations/my - Get current user's registered events (same query options as GET /events)
 router.get('/registrations/my', eventsController.getUserRegistrations);
 
 export default router; 
\ No newline at end of file
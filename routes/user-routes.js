@@ -1,24 +1,92 @@
 import express from 'express';
 import userController from '../controllers/user-controller.js';
-import { authenticateToken } from '../util/auth.js';
+import calendarController from '../controllers/calendar-controller.js';
+import { authenticateToken, requireRole, ROLES } from '../util/auth.js';
+import { validateBody } from '../util/validation.js';
+import schemas from '../util/schemas.js';
+import { rateLimit } from '../util/rate-limit.js';
 
 const router = express.Router();
 
+// Limits of the public authentication routes: requests per client IP or per account
+// (email) in each window. Failed logins additionally lock the account (see util/rate-limit.js).
+const AUTH_RATE_LIMIT_WINDOW_MS = (parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOGIN_RATE_LIMIT_PER_IP = parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP) || 20;
+const LOGIN_RATE_LIMIT_PER_ACCOUNT = parseInt(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT) || 10;
+const SIGNUP_RATE_LIMIT_PER_IP = parseInt(process.env.SIGNUP_RATE_LIMIT_PER_IP) || 5;
+const PASSWORD_RESET_RATE_LIMIT_PER_IP = parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_PER_IP) || 10;
+const PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT = parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT) || 3;
+
+// Key of the account a request is about (the body has been validated by then)
+const emailKey = (req) => req.body.email?.toLowerCase();
+
+const loginIpLimit = rateLimit({ name: 'login-ip', windowMs: AUTH_RATE_LIMIT_WINDOW_MS, max: LOGIN_RATE_LIMIT_PER_IP });
+const loginAccountLimit = rateLimit({ name: 'login-account', windowMs: AUTH_RATE_LIMIT_WINDOW_MS, max: LOGIN_RATE_LIMIT_PER_ACCOUNT, key: emailKey });
+const signupIpLimit = rateLimit({ name: 'signup-ip', windowMs: AUTH_RATE_LIMIT_WINDOW_MS, max: SIGNUP_RATE_LIMIT_PER_IP });
+const passwordResetIpLimit = rateLimit({ name: 'password-reset-ip', windowMs: AUTH_RATE_LIMIT_WINDOW_MS, max: PASSWORD_RESET_RATE_LIMIT_PER_IP });
+const passwordResetAccountLimit = rateLimit({ name: 'password-reset-account', windowMs: AUTH_RATE_LIMIT_WINDOW_MS, max: PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT, key: emailKey });
+
 // Public routes (no authentication required)
 // POST /users/signup - User registration
-router.post('/signup', userController.signup);
+router.post('/signup', signupIpLimit, validateBody(schemas.SignupRequest), userController.signup);
 
 // POST /users/login - User login
-router.post('/login', userController.login);
+router.post('/login', loginIpLimit, validateBody(schemas.LoginRequest), loginAccountLimit, userController.login);
+
+// POST /users/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validateBody(schemas.RefreshRequest), userController.refresh);
+
+// GET /users/verify?token= - Verify an email address
+router.get('/verify', userController.verifyEmail);
+
+// POST /users/forgot-password - Email a single-use password reset link
+router.post('/forgot-password', passwordResetIpLimit, validateBody(schemas.ForgotPasswordRequest), passwordResetAccountLimit, userController.forgotPassword);
+
+// POST /users/reset-password - Set a new password with a reset token
+router.post('/reset-password', passwordResetIpLimit, validateBody(schemas.ResetPasswordRequest), userController.resetPassword);
 
 // Protected routes (authentication required)
-// GET /users - Get all users (for testing/admin purposes)
-router.get('/', authenticateToken, userController.getAllUsers);
+// POST /users/logout - Revoke the current session
+router.post('/logout', authenticateToken, userController.logout);
+
+// POST /users/logout-all - Revoke every session of the current user
+router.post('/logout-all', authenticateToken, userController.logoutAll);
+
+// POST /users/verify/resend - Send a new verification email
+router.post('/verify/resend', authenticateToken, userController.resendVerification);
 
 // GET /users/profile - Get current user profile
 router.get('/profile', authenticateToken, userController.getCurrentUser);
 
+// PUT /users/profile - Update current user's name and email
+router.put('/profile', authenticateToken, validateBody(schemas.UpdateProfileRequest), userController.updateProfile);
+
+// PUT /users/password - Change current user's password
+router.put('/password', authenticateToken, validateBody(schemas.ChangePasswordRequest), userController.changePassword);
+
+// DELETE /users/profile - Delete current user's account (password confirmation required)
+router.delete('/profile', authenticateToken, validateBody(schemas.DeleteAccountRequest), userController.deleteAccount);
+
+// POST /users/calendar-feed - Create (or replace) the calendar feed URLs of the current user
+router.post('/calendar-feed', authenticateToken, calendarController.createFeed);
+
+// DELETE /users/calendar-feed - Disable the calendar feed URLs of the current user
+router.delete('/calendar-feed', authenticateToken, calendarController.revokeFeed);
+
 // GET /users/test-token - Test if JWT token is working (debug endpoint)
 router.get('/test-token', authenticateToken, userController.testToken);
 
+// Admin routes (admin role required)
+// GET /users - Get all users
+router.get('/', authenticateToken, requireRole(ROLES.ADMIN), userController.getAllUsers);
+
+// PUT /users/:id/disable - Disable a user account and revoke its sessions
+router.put('/:id/disable', authenticateToken, requireRole(ROLES.ADMIN), userController.disableUser);
+
+// PUT /users/:id/enable - Re-enable a disabled user account
+router.put('/:id/enable', authenticateToken, requireRole(ROLES.ADMIN), userController.enableUser);
+
+// PUT /users/:id/role - Change a user's role
+router.put('/:id/role', authenticateToken, requireRole(ROLES.ADMIN), validateBody(schemas.SetRoleRequest), userController.setUserRole);
+
 export default router; 
\ No newline at end of file
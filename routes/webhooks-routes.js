@@ -0,0 +1,37 @@
+import express from 'express';
+import webhookController from '../controllers/webhook-controller.js';
+import { authenticateToken } from '../util/auth.js';
+import { validateBody } from '../util/validation.js';
+import schemas from '../util/schemas.js';
+
+const router = express.Router();
+
+// All webhook routes require authentication
+router.use(authenticateToken);
+
+// POST /webhooks - Register a webhook endpoint (the signing secret is returned once)
+router.post('/', validateBody(schemas.CreateWebhookRequest), webhookController.createWebhook);
+
+// GET /webhooks - Get current user's webhooks
+router.get('/', webhookController.getWebhooks);
+
+// GET /webhooks/:id - Get a webhook (owner or admin)
+router.get('/:id', webhookController.getWebhookById);
+
+// PUT /webhooks/:id - Update a webhook or rotate its secret (owner or admin)
+router.put('/:id', validateBody(schemas.UpdateWebhookRequest), webhookController.updateWebhook);
+
+// DELETE /webhooks/:id - Delete a webhook and its delivery log (owner or admin)
+router.delete('/:id', webhookController.deleteWebhook);
+
+// Delivery log routes
+// GET /webhooks/:id/deliveries - Get a webhook's deliveries, newest first (supports limit, offset and status)
+router.get('/:id/deliveries', webhookController.getDeliveries);
+
+// GET /webhooks/:id/deliveries/:deliveryId - Get a delivery with its payload and attempts
+router.get('/:id/deliveries/:deliveryId', webhookController.getDeliveryById);
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a finished delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+export default router;
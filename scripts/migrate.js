@@ -0,0 +1,46 @@
+// Manage database schema migrations:
+//   npm run migrate                  - apply all pending migrations
+//   npm run migrate:rollback [-- N]  - revert the last N migrations (default 1)
+//   npm run migrate:status           - list applied and pending migrations
+import { openDatabase } from '../models/connection.js';
+import { migrate, rollback, getMigrationStatus } from '../util/migrator.js';
+
+const [command = 'up', stepsArg] = process.argv.slice(2);
+const db = openDatabase();
+
+try {
+  if (command === 'up') {
+    const applied = await migrate(db);
+    console.log(applied.length > 0
+      ? `Applied ${applied.length} migration(s)`
+      : 'Database is up to date');
+  } else if (command === 'rollback') {
+    const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+      console.error('Usage: npm run migrate:rollback -- [number of migrations]');
+      process.exit(1);
+    }
+
+    const reverted = await rollback(db, steps);
+    console.log(reverted.length > 0
+      ? `Reverted ${reverted.length} migration(s)`
+      : 'No migrations to roll back');
+  } else if (command === 'status') {
+    const migrations = await getMigrationStatus(db);
+    for (const migration of migrations) {
+      const appliedAt = migration.applied_at ? ` (${migration.applied_at})` : '';
+      console.log(`${migration.status.padEnd(8)} ${migration.file}${appliedAt}`);
+    }
+    if (migrations.length === 0) {
+      console.log('No migrations found');
+    }
+  } else {
+    console.error('Usage: node scripts/migrate.js [up|rollback|status]');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,22 @@
+// Assign a role to an existing user, e.g. to create the first admin:
+//   npm run user:role -- admin@example.com admin
+import userModel from '../models/user-model.js';
+import sessionModel from '../models/session-model.js';
+import { ROLES } from '../util/auth.js';
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !Object.values(ROLES).includes(role)) {
+  console.error(`Usage: npm run user:role -- <email> <${Object.values(ROLES).join('|')}>`);
+  process.exit(1);
+}
+
+const user = userModel.findByEmail(email);
+if (!user) {
+  console.error(`No user found with email ${email}`);
+  process.exit(1);
+}
+
+userModel.setRole(user.id, role);
+sessionModel.revokeAllUserSessions(user.id, 'ROLE_CHANGED');
+console.log(`User ${email} now has the ${role} role. They need to log in again.`);
@@ -1,21 +1,155 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import sessionModel from '../models/session-model.js';
+import userModel from '../models/user-model.js';
+import logger, { setLogContext } from './logger.js';
+import { AuthenticationError, ForbiddenError } from './errors.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key'; // Replace with your actual secret in production
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Verification tokens use their own secret so they can never pass as access tokens
+const EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET || `${JWT_SECRET}:email-verification`;
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+
+// When true, unverified users cannot create or register for events
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Roles a user account can have
+export const ROLES = Object.freeze({
+  USER: 'user',
+  ADMIN: 'admin'
+});
 
 /**
  * Generates a JWT for a user.
  * @param {Object} user - The user object.
  * @param {string|number} user.id - The user's unique identifier.
  * @param {string} user.email - The user's email address.
- * @param {Object} [options] - Optional jwt.sign options.
+ * @param {string} [user.role] - The user's role, defaults to 'user'.
+ * @param {Object} options - jwt.sign options, plus the session.
+ * @param {string} options.sessionId - Session the token belongs to, checked on every request.
  * @returns {string} The signed JWT.
+ * @throws {Error} When no session is given (such a token could not be revoked).
  */
-export function generateJWT(user, options = {}) {
+export function generateJWT(user, { sessionId, ...options } = {}) {
+  if (!sessionId) {
+    throw new Error('Access tokens must belong to a session');
+  }
   const payload = {
     id: user.id,
     email: user.email,
+    role: user.role || ROLES.USER,
+    sid: sessionId
+  };
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+    ...options
+  });
+}
+
+/**
+ * Generates a signed email verification token bound to the user's current address.
+ * @param {Object} user - The user object.
+ * @returns {string} The signed token.
+ */
+export function generateEmailVerificationToken(user) {
+  return jwt.sign({ id: user.id, email: user.email }, EMAIL_VERIFICATION_SECRET, {
+    expiresIn: EMAIL_VERIFICATION_TTL
+  });
+}
+
+/**
+ * Verifies an email verification token and returns its payload.
+ * @param {string} token - The token from the verification link.
+ * @returns {{ id: number, email: string }} The decoded payload.
+ * @throws {Error} If the token is invalid or expired.
+ */
+export function verifyEmailVerificationToken(token) {
+  return jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+}
+
+/**
+ * Hashes an opaque token for storage. Refresh tokens are high-entropy
+ * random values, so a fast SHA-256 digest is enough and allows lookups.
+ * @param {string} token - The raw token.
+ * @returns {string} Hex-encoded SHA-256 digest.
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generates a random, URL-safe opaque token (refresh, reset and similar tokens).
+ * @returns {string} The raw token.
+ */
+export function generateOpaqueToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Generates a new random refresh token and its expiry date.
+ * @returns {{ token: string, expiresAt: string }} The raw token and ISO expiry.
+ */
+function generateRefreshToken() {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return {
+    token: generateOpaqueToken(),
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Starts a new session for a user and issues its first token pair.
+ * @param {Object} user - The user object.
+ * @returns {{ token: string, refreshToken: string, refreshTokenExpiresAt: string }}
+ */
+export function createAuthSession(user) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+
+  sessionModel.createSession(sessionId, user.id, hashToken(refreshToken.token), refreshToken.expiresAt);
+
+  return {
+    token: generateJWT(user, { sessionId }),
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: refreshToken.expiresAt
+  };
+}
+
+/**
+ * Rotates a refresh token: the presented token is spent and a new pair is issued.
+ * @param {string} refreshToken - The raw refresh token presented by the client.
+ * @param {Function} findUser - Looks up the session's user by ID; returning nothing ends the session.
+ * @returns {Object} Either `{ error, message }` or `{ success, user, token, refreshToken, refreshTokenExpiresAt }`.
+ */
+export function rotateAuthSession(refreshToken, findUser) {
+  const nextRefreshToken = generateRefreshToken();
+  const result = sessionModel.rotateRefreshToken(
+    hashToken(refreshToken),
+    hashToken(nextRefreshToken.token),
+    nextRefreshToken.expiresAt
+  );
+
+  if (result.error) {
+    return result;
+  }
+
+  const user = findUser(result.userId);
+  if (!user) {
+    sessionModel.revokeSession(result.sessionId, 'USER_UNAVAILABLE');
+    return { error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+  }
+
+  return {
+    success: true,
+    user,
+    token: generateJWT(user, { sessionId: result.sessionId }),
+    refreshToken: nextRefreshToken.token,
+    refreshTokenExpiresAt: nextRefreshToken.expiresAt
   };
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '1h', ...options });
 }
 
 /**
@@ -38,32 +172,88 @@ export function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   let token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-  // Debug logging
-  console.log('Auth Header:', authHeader);
-  console.log('Extracted Token (before cleanup):', token ? `${token.substring(0, 20)}...` : 'No token');
-
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Access token required'
-    });
+    return next(new AuthenticationError('Access token required'));
   }
 
   // Remove quotes if present (common mistake when copying from JSON)
   token = token.replace(/^["']|["']$/g, '');
-  console.log('Cleaned Token:', token ? `${token.substring(0, 20)}...` : 'No token');
 
+  let decoded;
   try {
-    const decoded = verifyJWT(token);
-    console.log('Token decoded successfully for user ID:', decoded.id);
-    req.user = decoded;
-    next();
+    decoded = verifyJWT(token);
   } catch (error) {
-    console.error('JWT verification error:', error.message);
-    return res.status(403).json({
-      success: false,
-      message: 'Invalid or expired token',
-      debug: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    logger.warn('JWT verification failed', { reason: error.message });
+    return next(new ForbiddenError('Invalid or expired token', 'INVALID_TOKEN'));
+  }
+
+  // Tokens are tied to a session; logging out revokes the session. Tokens without
+  // one (issued before sessions existed) cannot be revoked, so they are refused.
+  if (!decoded.sid || !sessionModel.isSessionActive(decoded.sid)) {
+    return next(new AuthenticationError('Token has been revoked', 'TOKEN_REVOKED'));
+  }
+
+  req.user = decoded;
+  setLogContext({ userId: decoded.id }); // Later log entries of this request name the user
+  next();
+}
+
+/**
+ * Middleware that lets a route take the access token from the access_token query
+ * parameter, for clients that cannot send headers (browsers' EventSource). A token
+ * in the Authorization header wins. Must run before authenticateToken. Tokens in
+ * URLs can end up in proxy logs, so only use it where a header is not an option.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function acceptTokenFromQuery(req, res, next) {
+  const { access_token: token } = req.query;
+  if (!req.headers['authorization'] && typeof token === 'string' && token !== '') {
+    req.headers['authorization'] = `Bearer ${token}`;
+  }
+  next();
+}
+
+/**
+ * Checks whether an authenticated user has the admin role.
+ * @param {Object} user - The decoded token payload (req.user).
+ * @returns {boolean} True for admins.
+ */
+export function isAdmin(user) {
+  return !!user && user.role === ROLES.ADMIN;
+}
+
+/**
+ * Middleware factory that only lets users with one of the given roles through.
+ * Must run after authenticateToken.
+ * @param {...string} roles - Allowed roles.
+ * @returns {Function} Express middleware.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError('You do not have permission to perform this action'));
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware that blocks users with an unverified email address, when the
+ * REQUIRE_EMAIL_VERIFICATION policy is enabled. Must run after authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function requireVerifiedEmail(req, res, next) {
+  if (!REQUIRE_EMAIL_VERIFICATION) {
+    return next();
+  }
+
+  const user = userModel.findById(req.user.id);
+  if (!user || !user.email_verified_at) {
+    return next(new ForbiddenError('Please verify your email address before continuing', 'EMAIL_NOT_VERIFIED'));
   }
+  next();
 }
@@ -0,0 +1,263 @@
+import logger from './logger.js';
+
+/**
+ * Every error response has the same JSON envelope:
+ *
+ *   {
+ *     "success": false,
+ *     "code": "EVENT_NOT_FOUND",           // stable, machine-readable (see ERROR_CODES)
+ *     "message": "Event not found",        // human-readable, may change
+ *     "details": [                         // only for VALIDATION_FAILED
+ *       { "field": "title", "message": "title must be at least 3 characters long" }
+ *     ],
+ *     "errors": ["title must be ..."],     // same messages as details (kept for older clients)
+ *     "requestId": "…"                     // also sent as the X-Request-Id header
+ *   }
+ */
+
+// Stable error codes and their HTTP status. Model results ({ error: 'CODE', message })
+// use the same codes, so clients see the model's code unchanged.
+export const ERROR_CODES = Object.freeze({
+  // 400
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 400,
+  INVALID_ID: 400,
+  INVALID_UPLOAD: 400,
+  EVENT_PAST: 400,
+  SELF_REGISTRATION: 400,
+  NOT_RECURRING: 400,
+  TOO_MANY_IMAGES: 400,
+  INVALID_ORDER: 400,
+  INVALID_RESET_TOKEN: 400,
+  RESET_TOKEN_EXPIRED: 400,
+  INVALID_VERIFICATION_TOKEN: 400,
+  ALREADY_VERIFIED: 400,
+  NOT_REGISTERED: 400,
+  INVALID_TICKET: 400,
+  // 401
+  AUTHENTICATION_REQUIRED: 401,
+  INVALID_CREDENTIALS: 401,
+  TOKEN_REVOKED: 401,
+  INVALID_REFRESH_TOKEN: 401,
+  REFRESH_TOKEN_EXPIRED: 401,
+  REFRESH_TOKEN_REUSED: 401,
+  SESSION_REVOKED: 401,
+  // 403
+  FORBIDDEN: 403,
+  INVALID_TOKEN: 403,
+  ACCOUNT_DISABLED: 403,
+  EMAIL_NOT_VERIFIED: 403,
+  // 404
+  NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404,
+  EVENT_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  IMAGE_NOT_FOUND: 404,
+  OCCURRENCE_NOT_FOUND: 404,
+  WEBHOOK_NOT_FOUND: 404,
+  DELIVERY_NOT_FOUND: 404,
+  TICKET_NOT_FOUND: 404,
+  REGISTRATION_NOT_FOUND: 404,
+  // 409
+  CONFLICT: 409,
+  EMAIL_TAKEN: 409,
+  DUPLICATE_EVENT: 409,
+  ALREADY_REGISTERED: 409,
+  ALREADY_WAITLISTED: 409,
+  DELIVERY_PENDING: 409,
+  ALREADY_CHECKED_IN: 409,
+  // 413
+  PAYLOAD_TOO_LARGE: 413,
+  // 429
+  RATE_LIMITED: 429,
+  ACCOUNT_LOCKED: 429,
+  // 500
+  INTERNAL_ERROR: 500
+});
+
+// Model codes that are renamed on the way out
+const MODEL_CODE_ALIASES = {
+  UNAUTHORIZED: 'FORBIDDEN', // Models use it for "not the owner"
+  UPDATE_FAILED: 'INTERNAL_ERROR',
+  DELETE_FAILED: 'INTERNAL_ERROR',
+  REGISTRATION_FAILED: 'INTERNAL_ERROR',
+  UNREGISTER_FAILED: 'INTERNAL_ERROR'
+};
+
+/**
+ * Base class of errors that are turned into an error response. Anything else
+ * thrown by a handler becomes a 500 INTERNAL_ERROR.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message sent to the client.
+   * @param {Object} [options]
+   * @param {string} [options.code] - Stable error code (a key of ERROR_CODES).
+   * @param {number} [options.status] - HTTP status; derived from the code when omitted.
+   * @param {Array<{ field: string|null, message: string }>} [options.details] - Field-level problems.
+   */
+  constructor(message, { code = 'INTERNAL_ERROR', status, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status ?? ERROR_CODES[code] ?? 500;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST') {
+    super(message, { code, status: 400 });
+  }
+}
+
+export class ValidationError extends AppError {
+  /**
+   * @param {Array<{ field: string|null, message: string }>} details - One entry per problem.
+   * @param {string} [message]
+   */
+  constructor(details, message = 'Validation failed') {
+    super(message, { code: 'VALIDATION_FAILED', status: 400, details });
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message, code = 'AUTHENTICATION_REQUIRED') {
+    super(message, { code, status: 401 });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, { code, status: 403 });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, { code, status: 404 });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { code, status: 409 });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number} options.retryAfter - Seconds until the client may try again (sent as Retry-After).
+   * @param {string} [options.code] - RATE_LIMITED or ACCOUNT_LOCKED.
+   */
+  constructor(message, { retryAfter, code = 'RATE_LIMITED' }) {
+    super(message, { code, status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Throws the AppError matching a failed model result ({ error: 'CODE', message }).
+ * Successful results are returned unchanged.
+ * @param {Object} result - A model result.
+ * @returns {Object} The result, when it is not an error.
+ * @throws {AppError}
+ */
+export function throwIfError(result) {
+  if (result?.error) {
+    const code = MODEL_CODE_ALIASES[result.error] ?? result.error;
+    throw new AppError(result.message, { code });
+  }
+  return result;
+}
+
+/**
+ * Parses a numeric route parameter (e.g. req.params.id).
+ * @param {string} value - The raw parameter.
+ * @param {string} [label] - What the ID identifies, used in the error message.
+ * @returns {number} The ID.
+ * @throws {BadRequestError} When the value is not a number.
+ */
+export function parseId(value, label = 'event') {
+  const id = parseInt(value);
+  if (isNaN(id)) {
+    throw new BadRequestError(`Invalid ${label} ID`, 'INVALID_ID');
+  }
+  return id;
+}
+
+/**
+ * Wraps the async handlers of a controller so that rejected promises reach
+ * the error middleware (Express 4 does not forward them by itself).
+ * @param {Object} controller - Object of (req, res, next) handlers.
+ * @returns {Object} The same handlers, wrapped.
+ */
+export function withErrorHandling(controller) {
+  return Object.fromEntries(Object.entries(controller).map(([name, handler]) => [
+    name,
+    (req, res, next) => Promise.resolve(handler.call(controller, req, res, next)).catch(next)
+  ]));
+}
+
+/**
+ * Middleware for requests that matched no route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`, 'ROUTE_NOT_FOUND'));
+}
+
+// Errors raised by Express itself (body parsing) carry a status and type
+const fromExpressError = (error) => {
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { code: 'PAYLOAD_TOO_LARGE' });
+  }
+  if (error.status >= 400 && error.status < 500 && error.expose) {
+    return new AppError(error.message, { code: 'BAD_REQUEST', status: error.status });
+  }
+  return null;
+};
+
+/**
+ * Error middleware that sends every error in the documented envelope.
+ * Register it last, after all routes. It must keep all four parameters, as
+ * Express tells error middleware apart by its arity.
+ * @param {Error} error - The error passed to next() or thrown by a handler.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function errorHandler(error, req, res, next) {
+  const appError = error instanceof AppError ? error : fromExpressError(error);
+
+  if (!appError || appError.status >= 500) {
+    logger.error('Unhandled error', { method: req.method, path: req.path, error });
+  }
+
+  // Too late for an error response; let Express close the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const { status, code, message, details } = appError
+    ?? new AppError('Internal server error', { code: 'INTERNAL_ERROR', status: 500 });
+
+  if (appError?.retryAfter) {
+    res.set('Retry-After', String(appError.retryAfter));
+  }
+
+  res.status(status).json({
+    success: false,
+    code,
+    message,
+    ...(details ? { details, errors: details.map(detail => detail.message) } : {}),
+    requestId: req.id
+  });
+}
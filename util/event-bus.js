@@ -0,0 +1,66 @@
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+
+/**
+ * Types of change notifications published by the events model:
+ * - event.created / event.updated: data.event is the event row
+ * - event.deleted: only the IDs
+ * - registrations.changed: data.registrationCount and data.waitlistCount
+ * @type {ReadonlyArray<string>}
+ */
+export const EVENT_CHANGE_TYPES = Object.freeze([
+  'event.created',
+  'event.updated',
+  'event.deleted',
+  'registrations.changed'
+]);
+
+/**
+ * @typedef {Object} EventChange
+ * @property {string} type - One of EVENT_CHANGE_TYPES.
+ * @property {number} eventId - The event that changed.
+ * @property {number|null} seriesId - Series the event is an occurrence of, if any.
+ * @property {number|null} ownerId - User who created the event.
+ * @property {string} at - When the change happened (ISO date).
+ * @property {Object} data - Type-specific details.
+ */
+
+// Notifications only reach listeners in the same process
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+/**
+ * Notifies listeners of a committed change. Listener errors are logged, never
+ * thrown, so a broken listener cannot fail the change itself.
+ * @param {string} type - One of EVENT_CHANGE_TYPES.
+ * @param {Object} event - The event that changed (needs id and user_id; parent_event_id when an occurrence).
+ * @param {Object} [data] - Type-specific details.
+ */
+export function publishEventChange(type, event, data = {}) {
+  const change = {
+    type,
+    eventId: Number(event.id),
+    seriesId: event.parent_event_id ?? null,
+    ownerId: event.user_id ?? null,
+    at: new Date().toISOString(),
+    data
+  };
+
+  for (const listener of emitter.listeners('change')) {
+    try {
+      listener(change);
+    } catch (error) {
+      logger.error('Error in event change listener', { type, error });
+    }
+  }
+}
+
+/**
+ * Calls a listener for every change published from now on.
+ * @param {(change: EventChange) => void} listener
+ * @returns {() => void} Function that removes the listener.
+ */
+export function subscribeToEventChanges(listener) {
+  emitter.on('change', listener);
+  return () => emitter.off('change', listener);
+}
@@ -0,0 +1,155 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Formats a table can be exported as.
+ * @type {Readonly<Object<string, { contentType: string, extension: string }>>}
+ */
+export const EXPORT_FORMATS = Object.freeze({
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+});
+
+/**
+ * A column of an export.
+ * @typedef {Object} ExportColumn
+ * @property {string} key - Property name in JSON exports.
+ * @property {string} header - Column header in CSV and XLSX exports.
+ * @property {(row: Object) => (string|number|boolean|Date|null)} value - Reads the value from a row.
+ * @property {number} [width] - Column width in XLSX exports (characters).
+ */
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Turns a value into one CSV field (RFC 4180): fields with commas, quotes or
+ * line breaks are quoted, quotes are doubled, and text that a spreadsheet
+ * would run as a formula is prefixed with an apostrophe.
+ * @param {string|number|boolean|Date|null|undefined} value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'boolean') {
+    text = value ? 'yes' : 'no';
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.some(prefix => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves once the response can take more data (or the client went away)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Writes a chunk, waiting when the response buffer is full so large exports
+// are never held in memory
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await waitForDrain(res);
+  }
+};
+
+const toJsonRecord = (columns, row) => Object.fromEntries(columns.map(column => {
+  const value = column.value(row);
+  return [column.key, value instanceof Date ? value.toISOString() : value ?? null];
+}));
+
+const streamCsv = async (res, columns, batches) => {
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  await write(res, `\uFEFF${columns.map(column => escapeCsvValue(column.header)).join(',')}\r\n`);
+  for (const rows of batches) {
+    if (res.destroyed) return;
+    const lines = rows.map(row => columns.map(column => escapeCsvValue(column.value(row))).join(','));
+    if (lines.length > 0) {
+      await write(res, `${lines.join('\r\n')}\r\n`);
+    }
+  }
+};
+
+const streamJson = async (res, columns, batches, meta, rowsKey) => {
+  const head = JSON.stringify({ ...meta, [rowsKey]: [] });
+  await write(res, head.slice(0, -2)); // Everything up to and including the opening bracket of the rows
+  let first = true;
+  for (const rows of batches) {
+    if (res.destroyed) return;
+    if (rows.length > 0) {
+      await write(res, `${first ? '' : ','}${rows.map(row => JSON.stringify(toJsonRecord(columns, row))).join(',')}`);
+      first = false;
+    }
+  }
+  await write(res, ']}');
+};
+
+const streamXlsx = async (res, columns, batches, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width ?? 20 }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for (const rows of batches) {
+    if (res.destroyed) return;
+    for (const row of rows) {
+      worksheet.addRow(columns.map(column => column.value(row) ?? null)).commit();
+    }
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Streams a table to the response as a file download. Rows are read batch by
+ * batch, so only one batch is held in memory at a time.
+ * @param {Object} res - Express response object.
+ * @param {Object} options
+ * @param {string} options.format - A key of EXPORT_FORMATS.
+ * @param {string} options.filename - Download name without extension.
+ * @param {ExportColumn[]} options.columns - Columns in order.
+ * @param {Iterable<Object[]>} options.batches - Batches of rows, read as they are written.
+ * @param {Object} [options.meta] - JSON exports: fields next to the rows array.
+ * @param {string} [options.rowsKey] - JSON exports: property name of the rows array.
+ * @param {string} [options.sheetName] - XLSX exports: worksheet name.
+ * @returns {Promise<void>} Resolves when the response has been written.
+ */
+export async function streamExport(res, { format, filename, columns, batches, meta = {}, rowsKey = 'rows', sheetName = 'Export' }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${extension}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  if (format === 'csv') {
+    await streamCsv(res, columns, batches);
+  } else if (format === 'json') {
+    await streamJson(res, columns, batches, meta, rowsKey);
+  } else {
+    await streamXlsx(res, columns, batches, sheetName);
+  }
+
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
@@ -0,0 +1,62 @@
+// Distance helpers for coordinates in degrees (WGS 84), treating the earth as a sphere
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ * @param {number} latitude1
+ * @param {number} longitude1
+ * @param {number} latitude2
+ * @param {number} longitude2
+ * @returns {number|null} Distance in kilometers, or null when a coordinate is missing.
+ */
+export function haversineDistanceKm(latitude1, longitude1, latitude2, longitude2) {
+  if ([latitude1, longitude1, latitude2, longitude2].some(value => value === null || value === undefined)) {
+    return null;
+  }
+
+  const deltaLatitude = toRadians(latitude2 - latitude1);
+  const deltaLongitude = toRadians(longitude2 - longitude1);
+  const a = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Smallest latitude/longitude box containing every point within a radius. Used
+ * to prefilter rows with an index before the exact distance is calculated.
+ * When the box crosses the antimeridian, minLongitude is greater than
+ * maxLongitude (the box covers longitude >= min OR longitude <= max).
+ * @param {number} latitude - Center latitude.
+ * @param {number} longitude - Center longitude.
+ * @param {number} radiusKm - Radius in kilometers.
+ * @returns {{ minLatitude: number, maxLatitude: number, minLongitude: number, maxLongitude: number }}
+ */
+export function getBoundingBox(latitude, longitude, radiusKm) {
+  const deltaLatitude = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const minLatitude = latitude - deltaLatitude;
+  const maxLatitude = latitude + deltaLatitude;
+
+  // Near a pole the circle spans every longitude
+  if (minLatitude <= -90 || maxLatitude >= 90) {
+    return { minLatitude: Math.max(minLatitude, -90), maxLatitude: Math.min(maxLatitude, 90), minLongitude: -180, maxLongitude: 180 };
+  }
+
+  // Widest longitude span is at the latitude where the circle touches its meridians
+  const ratio = Math.sin(radiusKm / EARTH_RADIUS_KM) / Math.cos(toRadians(latitude));
+  if (ratio >= 1) {
+    return { minLatitude, maxLatitude, minLongitude: -180, maxLongitude: 180 };
+  }
+  const deltaLongitude = (Math.asin(ratio) * 180) / Math.PI;
+
+  const wrap = (value) => ((((value + 180) % 360) + 360) % 360) - 180;
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: longitude - deltaLongitude < -180 ? wrap(longitude - deltaLongitude) : longitude - deltaLongitude,
+    maxLongitude: longitude + deltaLongitude > 180 ? wrap(longitude + deltaLongitude) : longitude + deltaLongitude
+  };
+}
@@ -0,0 +1,159 @@
+import logger from './logger.js';
+
+// Geocoding requests give up after this long; the event is saved without coordinates
+const GEOCODING_TIMEOUT_MS = 5000;
+
+// Coordinates as the whole address ("52.5163, 13.3777"), or in brackets with
+// decimals at its end ("Park entrance (52.5163, 13.3777)"). Numbers elsewhere
+// in an address are house numbers and postcodes, not coordinates.
+const COORDINATES_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+const TRAILING_COORDINATES_PATTERN = /\(\s*(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)\s*\)\s*$/;
+
+// Approximate city centers known to the offline geocoder
+const STUB_PLACES = {
+  amsterdam: { latitude: 52.3676, longitude: 4.9041 },
+  ankara: { latitude: 39.9334, longitude: 32.8597 },
+  berlin: { latitude: 52.52, longitude: 13.405 },
+  istanbul: { latitude: 41.0082, longitude: 28.9784 },
+  london: { latitude: 51.5072, longitude: -0.1276 },
+  'new york': { latitude: 40.7128, longitude: -74.006 },
+  paris: { latitude: 48.8566, longitude: 2.3522 },
+  'san francisco': { latitude: 37.7749, longitude: -122.4194 },
+  tokyo: { latitude: 35.6762, longitude: 139.6503 }
+};
+
+/**
+ * A geocoder turns a free-text address into coordinates. Any object with these
+ * members can be plugged in with setGeocoder().
+ * @typedef {Object} Geocoder
+ * @property {string} name - Geocoder name, used in logs.
+ * @property {(address: string) => Promise<{ latitude: number, longitude: number }|null>} geocode -
+ *   Coordinates of the address, or null when it cannot be located.
+ */
+
+const isValidCoordinate = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+/**
+ * Offline geocoder for development and tests. It understands coordinates given
+ * as the address ("52.52, 13.405") or at its end ("Park (52.52, 13.405)") and the names of a few cities
+ * (plus any places passed in); everything else is not found.
+ * @param {Object} [options]
+ * @param {Object<string, { latitude: number, longitude: number }>} [options.places] - Extra
+ *   places by lowercase name, matched as whole words in the address.
+ * @returns {Geocoder}
+ */
+export function createStubGeocoder({ places = {} } = {}) {
+  const knownPlaces = Object.entries({ ...STUB_PLACES, ...places });
+
+  return {
+    name: 'stub',
+
+    async geocode(address) {
+      const coordinates = address.match(COORDINATES_PATTERN) ?? address.match(TRAILING_COORDINATES_PATTERN);
+      if (coordinates) {
+        const latitude = Number(coordinates[1]);
+        const longitude = Number(coordinates[2]);
+        if (isValidCoordinate(latitude, longitude)) {
+          return { latitude, longitude };
+        }
+      }
+
+      const text = address.toLowerCase();
+      const place = knownPlaces.find(([name]) => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+      return place ? { ...place[1] } : null;
+    }
+  };
+}
+
+/**
+ * Geocoder backed by a Nominatim (OpenStreetMap) server. The public server
+ * allows about one request per second and requires an identifying User-Agent.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server URL; defaults to the public OpenStreetMap server.
+ * @param {string} [options.userAgent] - Identifies the application to the server.
+ * @param {string} [options.email] - Contact address sent with requests, as the usage policy asks.
+ * @returns {Geocoder}
+ */
+export function createNominatimGeocoder({ baseUrl = 'https://nominatim.openstreetmap.org', userAgent = 'demo-rest-api/1.0', email } = {}) {
+  const searchUrl = `${baseUrl.replace(/\/$/, '')}/search`;
+
+  return {
+    name: 'nominatim',
+
+    async geocode(address) {
+      const params = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1' });
+      if (email) {
+        params.set('email', email);
+      }
+
+      const response = await fetch(`${searchUrl}?${params}`, {
+        headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(GEOCODING_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Nominatim responded with HTTP ${response.status}`);
+      }
+
+      const [result] = await response.json();
+      const latitude = Number(result?.lat);
+      const longitude = Number(result?.lon);
+      return result && isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+    }
+  };
+}
+
+// Pick the default geocoder from configuration
+const createDefaultGeocoder = () => {
+  if (process.env.GEOCODER === 'nominatim') {
+    return createNominatimGeocoder({
+      baseUrl: process.env.NOMINATIM_URL,
+      userAgent: process.env.NOMINATIM_USER_AGENT,
+      email: process.env.NOMINATIM_EMAIL
+    });
+  }
+
+  return createStubGeocoder();
+};
+
+let geocoder = createDefaultGeocoder();
+
+/**
+ * Replaces the active geocoder.
+ * @param {Geocoder} newGeocoder - The geocoder to use from now on.
+ */
+export function setGeocoder(newGeocoder) {
+  if (!newGeocoder || typeof newGeocoder.geocode !== 'function') {
+    throw new Error('Geocoder must implement geocode');
+  }
+  geocoder = newGeocoder;
+}
+
+/**
+ * Returns the active geocoder.
+ * @returns {Geocoder}
+ */
+export function getGeocoder() {
+  return geocoder;
+}
+
+/**
+ * Looks up the coordinates of an address with the active geocoder. Geocoder
+ * failures are logged and treated as "not found", so saving an event never
+ * fails because of them.
+ * @param {string} address - Free-text address.
+ * @returns {Promise<{ latitude: number, longitude: number }|null>}
+ */
+export async function geocodeAddress(address) {
+  try {
+    const location = await geocoder.geocode(address);
+    if (!location) {
+      logger.debug('Address could not be geocoded', { geocoder: geocoder.name });
+    }
+    return location;
+  } catch (error) {
+    logger.warn('Geocoding failed', { geocoder: geocoder.name, error });
+    return null;
+  }
+}
@@ -0,0 +1,290 @@
+import { splitExceptionDates } from './recurrence.js';
+
+// Domain used to build globally unique, stable event UIDs
+const ICAL_UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'demo-rest-api.local';
+
+// Events have no end time, so calendars show them with this length
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+// Escape text values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Format a date as UTC date-time, e.g. 20261020T180000Z
+const formatDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Returns the stable UID of an event. Detached occurrences share their series' UID.
+ * @param {number} eventId - The event (or series) ID.
+ * @returns {string} The UID.
+ */
+export function getEventUid(eventId) {
+  return `event-${eventId}@${ICAL_UID_DOMAIN}`;
+}
+
+/**
+ * Builds the VEVENT lines for one event row.
+ * @param {Object} event - Event row.
+ * @param {Object} [options]
+ * @param {boolean} [options.asOverride] - Render a detached occurrence as an override of its series.
+ * @param {boolean} [options.cancelled] - Render as cancelled.
+ * @returns {string[]} Content lines.
+ */
+const buildEventLines = (event, { asOverride = false, cancelled = false } = {}) => {
+  const start = new Date(event.date);
+  const end = new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+  const uid = asOverride ? getEventUid(event.parent_event_id) : getEventUid(event.id);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `SEQUENCE:${(event.sequence || 0) + (cancelled ? 1 : 0)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (asOverride) {
+    lines.push(`RECURRENCE-ID:${formatDate(event.recurrence_id)}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.address) {
+    lines.push(`LOCATION:${escapeText(event.address)}`);
+  }
+  if (event.recurrence_rule && !cancelled) {
+    lines.push(`RRULE:${event.recurrence_rule}`);
+    const exdates = splitExceptionDates(event.recurrence_exdates);
+    if (exdates.length > 0) {
+      lines.push(`EXDATE:${exdates.map(formatDate).join(',')}`);
+    }
+  }
+  if (event.created_at) {
+    lines.push(`CREATED:${formatDate(event.created_at.replace(' ', 'T') + 'Z')}`);
+  }
+
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Builds an iCalendar (RFC 5545) document.
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar display name.
+ * @param {Object[]} calendar.events - Event rows to include.
+ * @param {Object[]} [calendar.cancelledEvents] - Deleted events to publish as cancelled.
+ * @param {boolean} [calendar.isFeed] - Subscribable feeds get a refresh interval hint.
+ * @returns {string} The .ics file contents.
+ */
+export function buildCalendar({ name, events, cancelledEvents = [], isFeed = false }) {
+  const includedIds = new Set(events.map(event => event.id));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Demo REST API//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  if (isFeed) {
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    lines.push('X-PUBLISHED-TTL:PT1H');
+  }
+
+  for (const event of events) {
+    // An occurrence overrides its series when the series is in the same calendar
+    const asOverride = !!event.parent_event_id && includedIds.has(event.parent_event_id);
+    lines.push(...buildEventLines(event, { asOverride }));
+  }
+
+  for (const event of cancelledEvents) {
+    lines.push(...buildEventLines(event, { cancelled: true }));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Undo text escaping (RFC 5545 section 3.3.11)
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Split a content line into name, parameters and value,
+// e.g. DTSTART;TZID=Europe/Berlin:20261020T180000
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let index = 0; index < line.length && colon === -1; index++) {
+    if (line[index] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[index] === ':' && !inQuotes) {
+      colon = index;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Offset of a time zone from UTC at a moment, in milliseconds
+const getTimeZoneOffset = (timeZone, date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime();
+};
+
+// Parse a DATE or DATE-TIME value as ISO 8601. Local times are read in their
+// TZID time zone, or as UTC without one; all-day dates start at midnight UTC.
+// Values that cannot be read are returned unchanged (and fail validation).
+const parseDateValue = (value, params) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return value;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour ?? 0), Number(minute ?? 0), Number(second ?? 0));
+  if (utc || !params.TZID || hour === undefined) {
+    return new Date(wallClock).toISOString();
+  }
+
+  try {
+    // Correct the first guess once, for times close to a daylight saving change
+    const guess = wallClock - getTimeZoneOffset(params.TZID, new Date(wallClock));
+    return new Date(wallClock - getTimeZoneOffset(params.TZID, new Date(guess))).toISOString();
+  } catch {
+    return value; // Unknown time zone
+  }
+};
+
+/**
+ * Reads the events of an iCalendar (RFC 5545) document as event fields of the
+ * API: SUMMARY, DESCRIPTION, LOCATION, DTSTART, GEO, RRULE and EXDATE become
+ * title, description, address, date, latitude/longitude, recurrence_rule and
+ * recurrence_exdates. Fields missing from an event are left out.
+ * @param {string} text - The .ics file contents.
+ * @returns {Array<{ fields: Object, cancelled: boolean, isOverride: boolean }>} One entry per
+ *   VEVENT in file order; isOverride marks changed occurrences of a series (RECURRENCE-ID).
+ */
+export function parseCalendar(text) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const components = [];
+  let current = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    const { name, params, value } = property;
+    if (name === 'BEGIN') {
+      components.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        current = { fields: {}, cancelled: false, isOverride: false, exdates: [] };
+      }
+      continue;
+    }
+    if (name === 'END') {
+      if (components.pop() === 'VEVENT' && current) {
+        const { exdates, ...event } = current;
+        if (exdates.length > 0) {
+          event.fields.recurrence_exdates = exdates.join(',');
+        }
+        events.push(event);
+        current = null;
+      }
+      continue;
+    }
+
+    // Properties of components inside an event (e.g. alarms) are not the event's
+    if (!current || components[components.length - 1] !== 'VEVENT') {
+      continue;
+    }
+
+    switch (name) {
+      case 'SUMMARY':
+        current.fields.title = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.fields.description = unescapeText(value);
+        break;
+      case 'LOCATION':
+        current.fields.address = unescapeText(value);
+        break;
+      case 'DTSTART':
+        current.fields.date = parseDateValue(value, params);
+        break;
+      case 'GEO': {
+        const [latitude, longitude] = value.split(';');
+        current.fields.latitude = latitude;
+        current.fields.longitude = longitude;
+        break;
+      }
+      case 'RRULE':
+        current.fields.recurrence_rule = value;
+        break;
+      case 'EXDATE':
+        current.exdates.push(...value.split(',').map(date => parseDateValue(date, params)));
+        break;
+      case 'STATUS':
+        current.cancelled = value.toUpperCase() === 'CANCELLED';
+        break;
+      case 'RECURRENCE-ID':
+        current.isOverride = true;
+        break;
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,175 @@
+import { parseCalendar } from './ical.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * File formats events can be imported from, with the file extensions and
+ * content types that identify them.
+ * @type {Readonly<Object<string, { extensions: string[], contentTypes: string[] }>>}
+ */
+export const IMPORT_FORMATS = Object.freeze({
+  csv: { extensions: ['.csv'], contentTypes: ['text/csv', 'application/csv'] },
+  ics: { extensions: ['.ics', '.ical', '.ifb'], contentTypes: ['text/calendar'] }
+});
+
+// Most events one file may contain
+export const MAX_IMPORT_ROWS = 500;
+
+// Columns a CSV import may have (the event fields of POST /events)
+export const IMPORT_COLUMNS = Object.freeze([
+  'title',
+  'description',
+  'address',
+  'date',
+  'capacity',
+  'latitude',
+  'longitude',
+  'recurrence_rule',
+  'recurrence_exdates'
+]);
+
+/**
+ * Parses CSV text (RFC 4180): fields are separated by commas, quoted fields
+ * may contain commas, doubled quotes and line breaks. A leading byte order
+ * mark and blank lines are ignored.
+ * @param {string} text - CSV text.
+ * @returns {Array<{ line: number, values: string[] }>} Records with the line they start on.
+ * @throws {Error} When a quoted field is not closed.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let values = [];
+  let value = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Quoted field starting on line ${recordLine} is not closed`);
+  }
+  endRecord();
+
+  return records;
+}
+
+// Helper function to read the events of a CSV file; the first record names the columns
+const readCsvRows = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.values.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  const unknownColumns = columns.filter(column => !IMPORT_COLUMNS.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new Error(`Unknown column(s): ${unknownColumns.join(', ')}. Allowed columns: ${IMPORT_COLUMNS.join(', ')}`);
+  }
+  if (!columns.includes('title') || !columns.includes('date')) {
+    throw new Error('The file must have a title and a date column');
+  }
+
+  return records.map(({ line, values }) => ({
+    row: line,
+    data: Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ''])),
+    skipReason: null
+  }));
+};
+
+// Helper function to read the events of an iCalendar file. Cancelled events
+// and changed occurrences of a series have no equivalent and are skipped.
+const readIcsRows = (text) => {
+  if (!/^(\uFEFF)?BEGIN:VCALENDAR/i.test(text.trimStart())) {
+    throw new Error('The file is not an iCalendar file (it must start with BEGIN:VCALENDAR)');
+  }
+
+  return parseCalendar(text).map(({ fields, cancelled, isOverride }, index) => ({
+    row: index + 1,
+    data: fields,
+    skipReason: cancelled
+      ? 'Cancelled events are not imported'
+      : isOverride ? 'Changed occurrences of a series (RECURRENCE-ID) are not imported' : null
+  }));
+};
+
+// Helper function to tell the format of an upload from its name or content type
+const detectFormat = (file) => {
+  const name = file.originalname?.toLowerCase() ?? '';
+  const contentType = file.mimetype?.split(';')[0].trim().toLowerCase();
+  const match = Object.entries(IMPORT_FORMATS).find(([, { extensions, contentTypes }]) =>
+    extensions.some(extension => name.endsWith(extension)) || contentTypes.includes(contentType));
+  return match?.[0] ?? null;
+};
+
+/**
+ * Reads the events of an uploaded import file. Each row keeps its place in the
+ * file (the CSV line, or the position of the event in an iCalendar file) so
+ * problems can be reported per row.
+ * @param {Object} [file] - The multer file (kept in memory).
+ * @param {string} [format] - A key of IMPORT_FORMATS; detected from the file name or content type when omitted.
+ * @returns {Array<{ row: number, data: Object, skipReason: string|null }>} Event fields per row, as strings.
+ * @throws {ValidationError} When there is no file, its format is unknown, or it cannot be read.
+ */
+export function readImportFile(file, format) {
+  if (!file) {
+    throw new ValidationError([{ field: 'file', message: 'file is required (a CSV or iCalendar file)' }]);
+  }
+
+  const fileFormat = format ?? detectFormat(file);
+  if (!fileFormat) {
+    throw new ValidationError([{ field: 'format', message: `format must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')} (it could not be told from the file name)` }]);
+  }
+
+  let rows;
+  try {
+    const text = file.buffer.toString('utf8');
+    rows = fileFormat === 'csv' ? readCsvRows(text) : readIcsRows(text);
+  } catch (error) {
+    throw new ValidationError([{ field: 'file', message: error.message }], 'The file could not be read');
+  }
+
+  if (rows.length === 0) {
+    throw new ValidationError([{ field: 'file', message: 'The file contains no events' }]);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError([{ field: 'file', message: `The file contains ${rows.length} events; import at most ${MAX_IMPORT_ROWS} at once` }]);
+  }
+
+  return rows;
+}
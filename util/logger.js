@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Log levels in increasing order of severity
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+// Entries below this level are dropped (LOG_LEVEL=debug|info|warn|error|silent)
+const MIN_LEVEL = process.env.LOG_LEVEL === 'silent'
+  ? Infinity
+  : LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Values of fields whose name matches are never written
+const SENSITIVE_KEY_PATTERN = /pass(word)?|token|secret|authorization|cookie|signature|api[-_]?key|credential/i;
+
+// Credentials that may show up inside free-form strings
+const SENSITIVE_VALUE_PATTERNS = [
+  [/\bBearer\s+[\w.~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/\beyJ[\w-]*\.[\w-]+\.[\w-]*/g, '[REDACTED]'], // JWTs
+  [/([?&](?:[\w-]*token|signature|password)=)[^&\s#]+/gi, '$1[REDACTED]']
+];
+
+// URL paths that carry a secret (calendar feed tokens)
+const SENSITIVE_PATH_PATTERNS = [/^(\/calendar\/)[^/?#]+/];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Incoming X-Request-Id values are reused only when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Fields added to every entry logged while handling a request (requestId, userId)
+const requestContext = new AsyncLocalStorage();
+
+const redactString = (value) => SENSITIVE_VALUE_PATTERNS.reduce(
+  (result, [pattern, replacement]) => result.replace(pattern, replacement),
+  value
+);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(error.message),
+  ...(error.code ? { code: error.code } : {}),
+  stack: error.stack ? redactString(error.stack) : undefined
+});
+
+const redactValue = (value, depth) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+    key,
+    SENSITIVE_KEY_PATTERN.test(key) && fieldValue !== undefined && fieldValue !== null
+      ? REDACTED
+      : redactValue(fieldValue, depth + 1)
+  ]));
+};
+
+/**
+ * Returns a copy of a value that is safe to log: fields with sensitive names
+ * are replaced by "[REDACTED]", tokens inside strings are masked and errors
+ * are turned into plain objects.
+ * @param {*} value - Any value.
+ * @returns {*} The redacted copy.
+ */
+export function redact(value) {
+  return redactValue(value, 0);
+}
+
+/**
+ * Masks secrets in a URL (token-like query parameters and feed tokens in the path).
+ * @param {string} url - A request URL such as req.originalUrl.
+ * @returns {string} The URL without secrets.
+ */
+export function redactUrl(url) {
+  const [path, query] = url.split(/\?(.*)/s);
+  const safePath = SENSITIVE_PATH_PATTERNS.reduce(
+    (result, pattern) => result.replace(pattern, `$1${REDACTED}`),
+    path
+  );
+  if (!query) {
+    return safePath;
+  }
+
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) {
+      params.set(key, REDACTED);
+    }
+  }
+  return `${safePath}?${params.toString().replaceAll('%5BREDACTED%5D', REDACTED)}`;
+}
+
+const write = (level, bindings, message, fields) => {
+  if (LEVELS[level] < MIN_LEVEL) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...requestContext.getStore(),
+    ...bindings,
+    ...redact(fields ?? {})
+  };
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+/**
+ * @typedef {Object} Logger
+ * @property {(message: string, fields?: Object) => void} debug
+ * @property {(message: string, fields?: Object) => void} info
+ * @property {(message: string, fields?: Object) => void} warn
+ * @property {(message: string, fields?: Object) => void} error
+ * @property {(bindings: Object) => Logger} child - Logger that adds the given fields to every entry.
+ */
+
+/**
+ * Creates a logger that writes one JSON object per line (errors and warnings
+ * to stderr, the rest to stdout). Entries logged while a request is handled
+ * carry its requestId (and userId once authenticated).
+ * @param {Object} [bindings] - Fields added to every entry.
+ * @returns {Logger}
+ */
+export function createLogger(bindings = {}) {
+  const safeBindings = redact(bindings);
+  return {
+    debug: (message, fields) => write('debug', safeBindings, message, fields),
+    info: (message, fields) => write('info', safeBindings, message, fields),
+    warn: (message, fields) => write('warn', safeBindings, message, fields),
+    error: (message, fields) => write('error', safeBindings, message, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+  };
+}
+
+/**
+ * Adds fields to the log context of the current request (e.g. the user ID
+ * once the access token has been checked). Does nothing outside a request.
+ * @param {Object} fields - Fields to add.
+ */
+export function setLogContext(fields) {
+  const store = requestContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Runs a function outside the current request's log context, so background work
+ * it starts (timers, promises) does not log under that request's ID.
+ * @param {Function} fn - The function to run.
+ * @returns {*} What the function returns.
+ */
+export function runOutsideLogContext(fn) {
+  return requestContext.exit(fn);
+}
+
+/**
+ * Middleware that gives every request a correlation ID and writes an access
+ * log entry when the response is done. The ID is taken from the X-Request-Id
+ * request header when present, generated otherwise, and sent back in the
+ * X-Request-Id response header. Register it before any route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function requestLogger(req, res, next) {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  const context = { requestId };
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  let logged = false;
+  const logAccess = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.headersSent ? res.statusCode : null;
+    const aborted = !res.writableFinished;
+    const level = status >= 500 ? 'error' : status >= 400 || aborted ? 'warn' : 'info';
+    requestContext.run(context, () => logger[level]('Request completed', {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      contentLength: Number(res.getHeader('Content-Length')) || undefined,
+      aborted: aborted || undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }));
+  };
+  res.on('finish', logAccess);
+  res.on('close', logAccess);
+
+  requestContext.run(context, next);
+}
+
+const logger = createLogger();
+
+export default logger;
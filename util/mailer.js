@@ -0,0 +1,78 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * A mail transport delivers a single message. Any object with an async
+ * `send(message)` method can be plugged in with setMailTransport().
+ * @typedef {Object} MailTransport
+ * @property {string} name - Transport name, used in logs.
+ * @property {(message: MailMessage) => Promise<void>} send - Delivers the message.
+ */
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to - Recipient address.
+ * @property {string} subject - Subject line.
+ * @property {string} text - Plain-text body.
+ */
+
+/**
+ * Transport that writes every message as a JSON file into an outbox folder
+ * (default, for offline development).
+ * @param {string} outboxDir - Folder to write messages into.
+ * @returns {MailTransport}
+ */
+export function createFileTransport(outboxDir) {
+  if (!fs.existsSync(outboxDir)) {
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  return {
+    name: 'file',
+    async send(message) {
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      const sentAt = new Date().toISOString();
+      await fs.promises.writeFile(
+        path.join(outboxDir, filename),
+        JSON.stringify({ ...message, sentAt }, null, 2)
+      );
+    }
+  };
+}
+
+// Messages go to the outbox folder until a real transport is plugged in. They
+// carry verification and reset tokens, so they never go to stdout or the log.
+const createDefaultTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+  return createFileTransport(outboxDir);
+};
+
+let transport = createDefaultTransport();
+
+/**
+ * Replaces the active mail transport (e.g. with an SMTP or API-based one).
+ * @param {MailTransport} newTransport - The transport to use from now on.
+ */
+export function setMailTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+}
+
+/**
+ * Sends an email through the active transport.
+ * @param {MailMessage} message - The message to send.
+ * @returns {Promise<void>}
+ */
+export async function sendMail(message) {
+  const from = process.env.MAIL_FROM || 'no-reply@demo-api.local';
+  await transport.send({ from, ...message });
+  logger.info('Email sent', { subject: message.subject, transport: transport.name });
+}
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Migration files live here and are named <version>-<name>.js, e.g. 002-add-event-tags.js
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// Display name of a migration, matching its file name
+const formatMigration = (migration) => `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+
+const ensureMigrationsTable = (db) => {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+};
+
+const getAppliedMigrations = (db) => {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all();
+};
+
+/**
+ * Loads the migration files, sorted by version.
+ * @returns {Promise<Object[]>} Migrations with version, name, up and down.
+ * @throws {Error} When two files share a version or a file lacks up/down.
+ */
+export async function loadMigrations() {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const version = parseInt(match[1], 10);
+    if (migrations.some(migration => migration.version === version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up(db) and down(db) functions`);
+    }
+
+    migrations.push({ version, name: match[2], up: module.up, down: module.down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies all pending migrations in version order. Each migration runs in its
+ * own transaction, so a failing migration leaves the database at the previous version.
+ * @param {import('better-sqlite3').Database} db - Database connection.
+ * @returns {Promise<Object[]>} The migrations that were applied.
+ * @throws {Error} When a migration fails.
+ */
+export async function migrate(db) {
+  const migrations = await loadMigrations();
+  const appliedVersions = new Set(getAppliedMigrations(db).map(migration => migration.version));
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) {
+      continue;
+    }
+
+    logger.info('Applying migration', { migration: formatMigration(migration) });
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        recordMigration.run(migration.version, migration.name);
+      })();
+    } catch (error) {
+      throw new Error(`Migration ${formatMigration(migration)} failed: ${error.message}`, { cause: error });
+    }
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+/**
+ * Reverts the most recently applied migrations, newest first.
+ * @param {import('better-sqlite3').Database} db - Database connection.
+ * @param {number} [steps=1] - How many migrations to revert.
+ * @returns {Promise<Object[]>} The migrations that were reverted.
+ * @throws {Error} When a migration file is missing or its down() fails.
+ */
+export async function rollback(db, steps = 1) {
+  const migrations = await loadMigrations();
+  const toRevert = getAppliedMigrations(db).reverse().slice(0, steps);
+  const removeMigration = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  const reverted = [];
+
+  for (const appliedMigration of toRevert) {
+    const migration = migrations.find(m => m.version === appliedMigration.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back migration ${formatMigration(appliedMigration)}: file not found`);
+    }
+
+    logger.info('Reverting migration', { migration: formatMigration(migration) });
+    try {
+      db.transaction(() => {
+        migration.down(db);
+        removeMigration.run(migration.version);
+      })();
+    } catch (error) {
+      throw new Error(`Rollback of ${formatMigration(migration)} failed: ${error.message}`, { cause: error });
+    }
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+/**
+ * Lists every known migration with whether (and when) it was applied.
+ * Applied migrations whose file is gone are reported as missing.
+ * @param {import('better-sqlite3').Database} db - Database connection.
+ * @returns {Promise<Object[]>} Entries with version, name, file, status and applied_at.
+ */
+export async function getMigrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(migration => [migration.version, migration]));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    file: formatMigration(migration),
+    status: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+    applied_at: appliedByVersion.get(migration.version)?.applied_at ?? null
+  }));
+
+  for (const migration of applied) {
+    if (!migrations.some(m => m.version === migration.version)) {
+      status.push({ ...migration, file: formatMigration(migration), status: 'missing' });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
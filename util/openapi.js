@@ -0,0 +1,677 @@
+import schemas from './schemas.js';
+import { MAX_IMAGES_PER_UPLOAD } from './upload.js';
+import { IMPORT_COLUMNS, MAX_IMPORT_ROWS } from './import.js';
+
+// Builds the OpenAPI document served at GET /openapi.json. Request and response
+// bodies reference the same schemas the routes validate with (util/schemas.js),
+// so the document cannot drift from the validation rules.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Successful JSON response with the given extra properties next to success: true
+const jsonResponse = (description, properties = {}) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { success: { type: 'boolean', const: true }, ...properties }
+      }
+    }
+  }
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const jsonBody = (name) => ({
+  required: true,
+  content: { 'application/json': { schema: ref(name) } }
+});
+
+// Upload routes accept the same fields as multipart form data, plus the file field(s)
+const multipartBody = (name, fileField, { multiple = false, required = false } = {}) => {
+  const file = { type: 'string', format: 'binary' };
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          allOf: [ref(name)],
+          type: 'object',
+          properties: {
+            [fileField]: multiple
+              ? { type: 'array', items: file, maxItems: MAX_IMAGES_PER_UPLOAD }
+              : { ...file, description: 'JPEG, PNG, GIF or WebP image (max 5MB); stored as WebP variants' }
+          },
+          required: required ? [fileField] : []
+        }
+      },
+      'application/json': { schema: ref(name) }
+    }
+  };
+};
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: name === 'token' || name === 'key' ? { type: 'string' } : { type: 'integer' }
+});
+
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+// Query options shared by the event list endpoints
+const listParams = (sortFields, { ownerFilter = false } = {}) => [
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size'),
+  queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Number of results to skip'),
+  queryParam('from', { type: 'string', format: 'date-time' }, 'Only events starting at or after this date'),
+  queryParam('to', { type: 'string', format: 'date-time' }, 'Only events starting at or before this date'),
+  ...(ownerFilter ? [queryParam('owner', { type: 'integer' }, 'Only events of this user')] : []),
+  queryParam('hasImage', { type: 'boolean' }, 'Only events with (or without) an image'),
+  queryParam('when', { type: 'string', enum: ['upcoming', 'past'] }, 'Only upcoming or past events'),
+  queryParam('sort', { type: 'string', enum: sortFields.flatMap(field => [field, `-${field}`]) }, 'Sort field; prefix with - for descending')
+];
+
+const eventList = jsonResponse('A page of events', {
+  events: { type: 'array', items: ref('Event') },
+  pagination: ref('Pagination')
+});
+
+const calendarFile = {
+  description: 'iCalendar file',
+  content: { 'text/calendar': { schema: { type: 'string' } } }
+};
+
+const errors = {
+  400: errorResponse('Invalid request (see details)'),
+  401: errorResponse('Missing, invalid or expired access token'),
+  403: errorResponse('Not allowed'),
+  404: errorResponse('Not found'),
+  409: errorResponse('Conflict with existing data'),
+  429: errorResponse('Too many requests or failed logins; retry after the Retry-After header (seconds)')
+};
+
+// Pick error responses by status code
+const withErrors = (responses, ...codes) => ({
+  ...responses,
+  ...Object.fromEntries(codes.map(code => [code, errors[code]]))
+});
+
+const idParam = pathParam('id', 'Event ID');
+const imageIdParam = pathParam('imageId', 'Image ID');
+const userIdParam = pathParam('id', 'User ID');
+const webhookIdParam = pathParam('id', 'Webhook ID');
+const deliveryIdParam = pathParam('deliveryId', 'Delivery ID');
+const eventSortFields = ['date', 'created_at', 'title'];
+
+const paths = {
+  '/users/signup': {
+    post: {
+      tags: ['Users'],
+      summary: 'Create an account',
+      security: [],
+      requestBody: jsonBody('SignupRequest'),
+      responses: withErrors({ 201: jsonResponse('Account created and signed in', { user: ref('User'), token: { type: 'string' }, refreshToken: { type: 'string' } }) }, 400, 409, 429)
+    }
+  },
+  '/users/login': {
+    post: {
+      tags: ['Users'],
+      summary: 'Sign in',
+      security: [],
+      requestBody: jsonBody('LoginRequest'),
+      responses: withErrors({ 200: jsonResponse('Signed in', { user: ref('User'), token: { type: 'string' }, refreshToken: { type: 'string' } }) }, 400, 401, 403, 429)
+    }
+  },
+  '/users/refresh': {
+    post: {
+      tags: ['Users'],
+      summary: 'Exchange a refresh token for a new token pair',
+      security: [],
+      requestBody: jsonBody('RefreshRequest'),
+      responses: withErrors({ 200: jsonResponse('New token pair', { token: { type: 'string' }, refreshToken: { type: 'string' } }) }, 400, 401)
+    }
+  },
+  '/users/verify': {
+    get: {
+      tags: ['Users'],
+      summary: 'Verify an email address',
+      security: [],
+      parameters: [{ ...queryParam('token', { type: 'string' }, 'Token from the verification email'), required: true }],
+      responses: withErrors({ 200: jsonResponse('Email verified') }, 400)
+    }
+  },
+  '/users/forgot-password': {
+    post: {
+      tags: ['Users'],
+      summary: 'Email a password reset link',
+      security: [],
+      requestBody: jsonBody('ForgotPasswordRequest'),
+      responses: withErrors({ 200: jsonResponse('Sent if the account exists') }, 400, 429)
+    }
+  },
+  '/users/reset-password': {
+    post: {
+      tags: ['Users'],
+      summary: 'Set a new password with a reset token',
+      security: [],
+      requestBody: jsonBody('ResetPasswordRequest'),
+      responses: withErrors({ 200: jsonResponse('Password reset') }, 400, 429)
+    }
+  },
+  '/users/logout': {
+    post: {
+      tags: ['Users'],
+      summary: 'Revoke the current session',
+      responses: withErrors({ 200: jsonResponse('Signed out') }, 401)
+    }
+  },
+  '/users/logout-all': {
+    post: {
+      tags: ['Users'],
+      summary: 'Revoke every session of the current user',
+      responses: withErrors({ 200: jsonResponse('Signed out everywhere') }, 401)
+    }
+  },
+  '/users/verify/resend': {
+    post: {
+      tags: ['Users'],
+      summary: 'Send a new verification email',
+      responses: withErrors({ 200: jsonResponse('Verification email sent') }, 400, 401)
+    }
+  },
+  '/users/profile': {
+    get: {
+      tags: ['Users'],
+      summary: 'Get the current user',
+      responses: withErrors({ 200: jsonResponse('Current user', { user: ref('User') }) }, 401, 404)
+    },
+    put: {
+      tags: ['Users'],
+      summary: 'Update the current user\'s name and email',
+      requestBody: jsonBody('UpdateProfileRequest'),
+      responses: withErrors({ 200: jsonResponse('Profile updated', { user: ref('User') }) }, 400, 401, 409)
+    },
+    delete: {
+      tags: ['Users'],
+      summary: 'Delete the current user\'s account',
+      requestBody: jsonBody('DeleteAccountRequest'),
+      responses: withErrors({ 200: jsonResponse('Account deleted') }, 400, 401)
+    }
+  },
+  '/users/password': {
+    put: {
+      tags: ['Users'],
+      summary: 'Change the current user\'s password',
+      requestBody: jsonBody('ChangePasswordRequest'),
+      responses: withErrors({ 200: jsonResponse('Password changed') }, 400, 401)
+    }
+  },
+  '/users/calendar-feed': {
+    post: {
+      tags: ['Calendar'],
+      summary: 'Create (or replace) the current user\'s calendar feed URLs',
+      responses: withErrors({
+        201: jsonResponse('Feed URLs', {
+          feeds: { type: 'object', properties: { events: { type: 'string' }, registrations: { type: 'string' } } }
+        })
+      }, 401)
+    },
+    delete: {
+      tags: ['Calendar'],
+      summary: 'Disable the current user\'s calendar feeds',
+      responses: withErrors({ 200: jsonResponse('Feeds disabled') }, 401)
+    }
+  },
+  '/users': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List all users (admin)',
+      responses: withErrors({ 200: jsonResponse('All users', { users: { type: 'array', items: ref('User') } }) }, 401, 403)
+    }
+  },
+  '/users/{id}/disable': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Disable a user account and revoke its sessions (admin)',
+      parameters: [userIdParam],
+      responses: withErrors({ 200: jsonResponse('User disabled', { user: ref('User') }) }, 400, 401, 403, 404)
+    }
+  },
+  '/users/{id}/enable': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Re-enable a disabled user account (admin)',
+      parameters: [userIdParam],
+      responses: withErrors({ 200: jsonResponse('User enabled', { user: ref('User') }) }, 400, 401, 403, 404)
+    }
+  },
+  '/users/{id}/role': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Change a user\'s role (admin)',
+      parameters: [userIdParam],
+      requestBody: jsonBody('SetRoleRequest'),
+      responses: withErrors({ 200: jsonResponse('Role changed', { user: ref('User') }) }, 400, 401, 403, 404)
+    }
+  },
+
+  '/events': {
+    get: {
+      tags: ['Events'],
+      summary: 'List events (occurrences of series are listed individually)',
+      parameters: listParams(eventSortFields, { ownerFilter: true }),
+      responses: withErrors({ 200: eventList }, 400, 401)
+    },
+    post: {
+      tags: ['Events'],
+      summary: 'Create an event or a recurring series',
+      requestBody: multipartBody('CreateEventRequest', 'image'),
+      responses: withErrors({ 201: jsonResponse('Event created', { event: ref('Event') }) }, 400, 401, 403, 409)
+    }
+  },
+  '/events/import': {
+    post: {
+      tags: ['Events'],
+      summary: 'Create events from a CSV or iCalendar file',
+      description: `CSV files name their columns in the first row (${IMPORT_COLUMNS.join(', ')}; title and date are required). `
+        + 'iCalendar files map SUMMARY, DESCRIPTION, LOCATION, DTSTART, GEO, RRULE and EXDATE; cancelled events and '
+        + `changed occurrences are skipped. Every row is checked like POST /events. At most ${MAX_IMPORT_ROWS} events per file; `
+        + 'they are saved in one transaction, and only when no row has errors. With dry_run=true nothing is saved.',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              allOf: [ref('ImportEventsRequest')],
+              type: 'object',
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'CSV or iCalendar (.ics) file, UTF-8 (max 2MB)' }
+              },
+              required: ['file']
+            }
+          }
+        }
+      },
+      responses: withErrors({
+        200: jsonResponse('Dry run: what an import would do', { dryRun: { type: 'boolean' }, summary: ref('ImportSummary'), rows: { type: 'array', items: ref('ImportRow') } }),
+        201: jsonResponse('Events imported', { summary: ref('ImportSummary'), rows: { type: 'array', items: ref('ImportRow') } })
+      }, 400, 401, 403)
+    }
+  },
+  '/events/search': {
+    get: {
+      tags: ['Events'],
+      summary: 'Full-text search over title, description and address',
+      parameters: [
+        { ...queryParam('q', { type: 'string' }, 'Search words (prefix matched)'), required: true },
+        ...listParams(['relevance', ...eventSortFields], { ownerFilter: true })
+      ],
+      responses: withErrors({ 200: eventList }, 400, 401)
+    }
+  },
+  '/events/my': {
+    get: {
+      tags: ['Events'],
+      summary: 'List the current user\'s events',
+      parameters: listParams(eventSortFields),
+      responses: withErrors({ 200: eventList }, 400, 401)
+    }
+  },
+  '/events/nearby': {
+    get: {
+      tags: ['Events'],
+      summary: 'List events within a radius of a point, nearest first',
+      description: 'Only events with coordinates are found (sent by the client or geocoded from the address). '
+        + 'Each event has distance_km. Supports the filters, sorting and paging of GET /events.',
+      parameters: [
+        { ...queryParam('lat', { type: 'number', minimum: -90, maximum: 90 }, 'Latitude of the center'), required: true },
+        { ...queryParam('lng', { type: 'number', minimum: -180, maximum: 180 }, 'Longitude of the center'), required: true },
+        queryParam('radius', { type: 'number', exclusiveMinimum: 0, maximum: 500, default: 10 }, 'Radius in kilometers'),
+        ...listParams(['distance', ...eventSortFields], { ownerFilter: true })
+      ],
+      responses: withErrors({
+        200: jsonResponse('A page of events', {
+          center: { type: 'object', properties: { latitude: { type: 'number' }, longitude: { type: 'number' } } },
+          radiusKm: { type: 'number' },
+          events: { type: 'array', items: ref('Event') },
+          pagination: ref('Pagination')
+        })
+      }, 400, 401)
+    }
+  },
+  '/events/stream': {
+    get: {
+      tags: ['Events'],
+      summary: 'Server-Sent Events stream of event changes and registration counts',
+      description: 'Sends a ready event, then one event per change: event.created, event.updated, event.deleted and '
+        + 'registrations.changed (data: { type, eventId, seriesId, ownerId, at, data }). Changes to an occurrence also '
+        + 'reach subscribers of its series. registrations.changed is only sent for the user\'s own events (for every '
+        + 'event to admins). The stream ends with a token-expired event when the access token expires, '
+        + 'and with a session-ended event when the session is revoked or the account is disabled or changes role '
+        + '(checked every 25 seconds).',
+      parameters: [
+        queryParam('events', { type: 'string' }, 'Comma-separated event IDs to subscribe to (default: all events)'),
+        queryParam('access_token', { type: 'string' }, 'Access token, for clients that cannot send the Authorization header (EventSource)')
+      ],
+      responses: withErrors({
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      }, 400, 401, 403)
+    }
+  },
+  '/events/registrations/my': {
+    get: {
+      tags: ['Registrations'],
+      summary: 'List the events the current user registered for',
+      parameters: listParams([...eventSortFields, 'registered_at']),
+      responses: withErrors({ 200: jsonResponse('A page of registrations', { registrations: { type: 'array', items: { type: 'object' } }, pagination: ref('Pagination') }) }, 400, 401)
+    }
+  },
+  '/events/{id}': {
+    parameters: [idParam],
+    get: {
+      tags: ['Events'],
+      summary: 'Get an event with its images (and upcoming occurrences for a series)',
+      responses: withErrors({ 200: jsonResponse('The event', { event: ref('Event') }) }, 400, 401, 404)
+    },
+    put: {
+      tags: ['Events'],
+      summary: 'Update an event (owner or admin); for series, scope limits the change',
+      requestBody: multipartBody('UpdateEventRequest', 'image'),
+      responses: withErrors({ 200: jsonResponse('Event updated', { event: ref('Event') }) }, 400, 401, 403, 404)
+    },
+    delete: {
+      tags: ['Events'],
+      summary: 'Delete an event (owner or admin)',
+      responses: withErrors({ 200: jsonResponse('Event deleted') }, 400, 401, 403, 404)
+    }
+  },
+  '/events/{id}/calendar.ics': {
+    parameters: [idParam],
+    get: {
+      tags: ['Calendar'],
+      summary: 'Download an event (or series) as an iCalendar file',
+      responses: withErrors({ 200: calendarFile }, 400, 401, 404)
+    }
+  },
+  '/events/{id}/register': {
+    parameters: [idParam],
+    post: {
+      tags: ['Registrations'],
+      summary: 'Register for an event (joins the waitlist when full)',
+      description: 'Events with registration questions (see GET /events/{id}/questions) need answers to their required questions.',
+      requestBody: { content: { 'application/json': { schema: ref('RegisterForEventRequest') } } },
+      responses: withErrors({
+        201: jsonResponse('Registered; the registration carries its ticket_code and ticket_url', { waitlisted: { type: 'boolean', const: false } }),
+        202: jsonResponse('Added to the waitlist', { waitlisted: { type: 'boolean', const: true } })
+      }, 400, 401, 403, 404, 409)
+    }
+  },
+  '/events/{id}/unregister': {
+    parameters: [idParam],
+    delete: {
+      tags: ['Registrations'],
+      summary: 'Unregister from an event or leave its waitlist',
+      responses: withErrors({ 200: jsonResponse('Unregistered') }, 400, 401, 404)
+    }
+  },
+  '/events/{id}/registrations': {
+    parameters: [idParam],
+    get: {
+      tags: ['Registrations'],
+      summary: 'Get an event\'s registrations, waitlist and attendance (owner or admin)',
+      responses: withErrors({
+        200: jsonResponse('Registrations and waitlist', {
+          registrationCount: { type: 'integer' },
+          checkedInCount: { type: 'integer' },
+          attendanceRate: { type: ['number', 'null'], description: 'Share of registrations checked in (0 to 1); null without registrations' },
+          waitlistCount: { type: 'integer' },
+          questions: { type: 'array', items: ref('RegistrationQuestion'), description: 'The registrations\' answers are keyed by question key' }
+        })
+      }, 400, 401, 403, 404)
+    }
+  },
+  '/events/{id}/registrations/export': {
+    parameters: [idParam],
+    get: {
+      tags: ['Registrations'],
+      summary: 'Download an event\'s attendee list (owner or admin)',
+      description: 'One row per registration: registration and user IDs, name, email, registration time, check-in status '
+        + 'and the answers to the registration questions (a column per question; an answers object in JSON). '
+        + 'The file is streamed, so large events can be exported.',
+      parameters: [queryParam('format', { type: 'string', enum: ['csv', 'json', 'xlsx'], default: 'csv' }, 'File format')],
+      responses: withErrors({
+        200: {
+          description: 'The attendee list as an attachment',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  event: { type: 'object' },
+                  exported_at: { type: 'string' },
+                  attendees: { type: 'array', items: { type: 'object' } }
+                }
+              }
+            },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+          }
+        }
+      }, 400, 401, 403, 404)
+    }
+  },
+  '/events/{id}/ticket': {
+    parameters: [idParam],
+    get: {
+      tags: ['Registrations'],
+      summary: 'Get the current user\'s ticket as a QR code image, or its code as JSON',
+      parameters: [queryParam('format', { type: 'string', enum: ['png', 'svg', 'json'], default: 'png' }, 'Image format, or json for the code')],
+      responses: withErrors({
+        200: {
+          description: 'The ticket',
+          content: {
+            'image/png': { schema: { type: 'string', format: 'binary' } },
+            'image/svg+xml': { schema: { type: 'string' } },
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', const: true },
+                  ticket: {
+                    type: 'object',
+                    properties: {
+                      code: { type: 'string' },
+                      registration_id: { type: 'integer' },
+                      event_id: { type: 'integer' },
+                      checked_in_at: { type: ['string', 'null'] }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }, 400, 401, 404)
+    }
+  },
+  '/events/{id}/checkin': {
+    parameters: [idParam],
+    post: {
+      tags: ['Registrations'],
+      summary: 'Check in an attendee by ticket code (owner or admin)',
+      description: 'Each ticket checks in once; scanning it again responds with 409 ALREADY_CHECKED_IN.',
+      requestBody: jsonBody('CheckInRequest'),
+      responses: withErrors({ 200: jsonResponse('Checked in', { registration: { type: 'object' } }) }, 400, 401, 403, 404, 409)
+    }
+  },
+  '/events/{id}/questions': {
+    parameters: [idParam],
+    get: {
+      tags: ['Registrations'],
+      summary: 'Get the questions attendees answer when registering',
+      responses: withErrors({ 200: jsonResponse('Questions in display order', { questions: { type: 'array', items: ref('RegistrationQuestion') } }) }, 400, 401, 404)
+    },
+    put: {
+      tags: ['Registrations'],
+      summary: 'Replace the registration questions (owner or admin)',
+      description: 'Answers already given stay with their registrations.',
+      requestBody: jsonBody('SetRegistrationQuestionsRequest'),
+      responses: withErrors({ 200: jsonResponse('Questions updated', { questions: { type: 'array', items: ref('RegistrationQuestion') } }) }, 400, 401, 403, 404)
+    }
+  },
+  '/events/{id}/images': {
+    parameters: [idParam],
+    get: {
+      tags: ['Images'],
+      summary: 'Get an event\'s images in display order',
+      responses: withErrors({ 200: jsonResponse('Images', { images: { type: 'array', items: ref('EventImage') } }) }, 400, 401, 404)
+    },
+    post: {
+      tags: ['Images'],
+      summary: 'Add images to the gallery (owner or admin)',
+      requestBody: multipartBody('AddEventImagesRequest', 'images', { multiple: true, required: true }),
+      responses: withErrors({ 201: jsonResponse('Images added', { images: { type: 'array', items: ref('EventImage') } }) }, 400, 401, 403, 404)
+    }
+  },
+  '/events/{id}/images/order': {
+    parameters: [idParam],
+    put: {
+      tags: ['Images'],
+      summary: 'Reorder the gallery (owner or admin)',
+      requestBody: jsonBody('ReorderEventImagesRequest'),
+      responses: withErrors({ 200: jsonResponse('Images reordered', { images: { type: 'array', items: ref('EventImage') } }) }, 400, 401, 403, 404)
+    }
+  },
+  '/events/{id}/images/{imageId}': {
+    parameters: [idParam, imageIdParam],
+    put: {
+      tags: ['Images'],
+      summary: 'Change an image\'s caption or make it the cover (owner or admin)',
+      requestBody: jsonBody('UpdateEventImageRequest'),
+      responses: withErrors({ 200: jsonResponse('Image updated', { image: ref('EventImage') }) }, 400, 401, 403, 404)
+    },
+    delete: {
+      tags: ['Images'],
+      summary: 'Remove an image from the gallery (owner or admin)',
+      responses: withErrors({ 200: jsonResponse('Image deleted') }, 400, 401, 403, 404)
+    }
+  },
+
+  '/calendar/{token}/my-events.ics': {
+    get: {
+      tags: ['Calendar'],
+      summary: 'Calendar feed of the user\'s own events',
+      security: [],
+      parameters: [pathParam('token', 'Feed token from POST /users/calendar-feed')],
+      responses: withErrors({ 200: calendarFile }, 404)
+    }
+  },
+  '/calendar/{token}/registrations.ics': {
+    get: {
+      tags: ['Calendar'],
+      summary: 'Calendar feed of the events the user registered for',
+      security: [],
+      parameters: [pathParam('token', 'Feed token from POST /users/calendar-feed')],
+      responses: withErrors({ 200: calendarFile }, 404)
+    }
+  },
+
+  '/webhooks': {
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Register a webhook endpoint',
+      description: 'Notifications about the user\'s own events are POSTed as JSON '
+        + '{ id, type, created_at, data }. The X-Webhook-Signature header is "t=<unix time>,v1=<hex HMAC-SHA256 of '
+        + '"<t>.<raw body>" with the webhook secret>". Any 2xx response counts as delivered; anything else is retried '
+        + 'with exponential backoff (8 attempts over about an hour). The secret is only returned in this response.',
+      requestBody: jsonBody('CreateWebhookRequest'),
+      responses: withErrors({ 201: jsonResponse('Webhook created', { webhook: ref('Webhook') }) }, 400, 401)
+    },
+    get: {
+      tags: ['Webhooks'],
+      summary: 'List the current user\'s webhooks',
+      responses: withErrors({ 200: jsonResponse('The webhooks', { webhooks: { type: 'array', items: ref('Webhook') } }) }, 401)
+    }
+  },
+  '/webhooks/{id}': {
+    parameters: [webhookIdParam],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Get a webhook (owner or admin)',
+      responses: withErrors({ 200: jsonResponse('The webhook', { webhook: ref('Webhook') }) }, 400, 401, 403, 404)
+    },
+    put: {
+      tags: ['Webhooks'],
+      summary: 'Update a webhook or rotate its secret (owner or admin)',
+      requestBody: jsonBody('UpdateWebhookRequest'),
+      responses: withErrors({ 200: jsonResponse('Webhook updated', { webhook: ref('Webhook') }) }, 400, 401, 403, 404)
+    },
+    delete: {
+      tags: ['Webhooks'],
+      summary: 'Delete a webhook and its delivery log (owner or admin)',
+      responses: withErrors({ 200: jsonResponse('Webhook deleted') }, 400, 401, 403, 404)
+    }
+  },
+  '/webhooks/{id}/deliveries': {
+    parameters: [webhookIdParam],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'List a webhook\'s deliveries, newest first (owner or admin)',
+      parameters: [
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size'),
+        queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Number of results to skip'),
+        queryParam('status', { type: 'string', enum: ['pending', 'succeeded', 'failed'] }, 'Only deliveries with this status')
+      ],
+      responses: withErrors({
+        200: jsonResponse('A page of deliveries', { deliveries: { type: 'array', items: ref('WebhookDelivery') }, pagination: ref('Pagination') })
+      }, 400, 401, 403, 404)
+    }
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}': {
+    parameters: [webhookIdParam, deliveryIdParam],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Get a delivery with its payload and attempts (owner or admin)',
+      responses: withErrors({ 200: jsonResponse('The delivery', { delivery: ref('WebhookDelivery') }) }, 400, 401, 403, 404)
+    }
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    parameters: [webhookIdParam, deliveryIdParam],
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Send a succeeded or failed delivery again (owner or admin)',
+      responses: withErrors({ 202: jsonResponse('Delivery queued', { delivery: ref('WebhookDelivery') }) }, 400, 401, 403, 404, 409)
+    }
+  }
+};
+
+/**
+ * Builds the OpenAPI 3.1 document of the API.
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - Base URL clients should call; relative to the document when omitted.
+ * @returns {Object} The OpenAPI document.
+ */
+export function buildOpenApiDocument({ serverUrl } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Demo REST API',
+      version: '1.0.0',
+      description: 'Events, registrations and users. Errors share one JSON envelope with a stable code (see the Error schema); validation errors respond with 400 VALIDATION_FAILED and field-level details.'
+    },
+    servers: [{ url: serverUrl || '/' }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas
+    }
+  };
+}
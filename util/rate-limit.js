@@ -0,0 +1,218 @@
+import rateLimitModel from '../models/rate-limit-model.js';
+import logger from './logger.js';
+import { TooManyRequestsError } from './errors.js';
+
+// Expired counters are removed this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Progressive login lockout: after this many failed logins for an account, further
+// attempts are refused for LOGIN_LOCKOUT_BASE_SECONDS, doubling with every
+// failure after that (up to LOGIN_LOCKOUT_MAX_SECONDS)
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+
+// Failed logins are forgotten after a day without a successful login
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A rate limit store counts hits per key in fixed windows. Any object with these
+ * methods can be plugged in with setRateLimitStore(), e.g. one backed by Redis.
+ * @typedef {Object} RateLimitStore
+ * @property {string} name - Store name, used in logs.
+ * @property {(key: string, windowMs: number) => Promise<{ count: number, resetAt: number }>} increment -
+ *   Counts a hit and returns the count of the current window and when it ends (Unix ms).
+ *   A window starts with the first hit after the previous one ended.
+ * @property {(key: string) => Promise<{ count: number, resetAt: number }|null>} get - Current window, if any.
+ * @property {(key: string) => Promise<void>} reset - Forgets a key.
+ */
+
+/**
+ * Store that keeps counters in process memory. Each API process counts on its own.
+ * @returns {RateLimitStore}
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+
+  const findActive = (key, now) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > now ? counter : null;
+  };
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, PRUNE_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const counter = findActive(key, now) ?? { count: 0, resetAt: now + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = findActive(key, Date.now());
+      return counter ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+/**
+ * Store that keeps counters in the SQLite database, so every API process using
+ * the same database file shares them.
+ * @returns {RateLimitStore}
+ */
+export function createSqliteStore() {
+  setInterval(() => {
+    try {
+      rateLimitModel.deleteExpired();
+    } catch (error) {
+      // Already logged by the model; counters are pruned again on the next run
+    }
+  }, PRUNE_INTERVAL_MS).unref();
+
+  const toWindow = (row) => (row ? { count: row.count, resetAt: row.reset_at } : null);
+
+  return {
+    name: 'sqlite',
+
+    async increment(key, windowMs) {
+      return toWindow(rateLimitModel.increment(key, windowMs));
+    },
+
+    async get(key) {
+      return toWindow(rateLimitModel.find(key));
+    },
+
+    async reset(key) {
+      rateLimitModel.delete(key);
+    }
+  };
+}
+
+let store = process.env.RATE_LIMIT_STORE === 'sqlite' ? createSqliteStore() : createMemoryStore();
+
+/**
+ * Replaces the active rate limit store.
+ * @param {RateLimitStore} newStore - The store to use from now on.
+ */
+export function setRateLimitStore(newStore) {
+  const methods = ['increment', 'get', 'reset'];
+  if (!newStore || methods.some(method => typeof newStore[method] !== 'function')) {
+    throw new Error(`Rate limit store must implement ${methods.join(', ')}`);
+  }
+  store = newStore;
+}
+
+/**
+ * Returns the active rate limit store.
+ * @returns {RateLimitStore}
+ */
+export function getRateLimitStore() {
+  return store;
+}
+
+// Whole seconds until a Unix time in milliseconds (at least 1)
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Counter keys of an account (emails are compared case-insensitively)
+const accountKey = (prefix, email) => `${prefix}:${String(email).toLowerCase()}`;
+
+/**
+ * Creates a middleware that allows at most `max` requests per key in each window
+ * and answers 429 with a Retry-After header after that. Responses carry
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers. When the store
+ * fails the request is let through (and the error logged), so an outage of the
+ * store does not take authentication down with it.
+ * @param {Object} options
+ * @param {string} options.name - Limiter name; separates its counters from other limiters'.
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {number} options.max - Requests allowed per key and window.
+ * @param {(req: Object) => string|null|undefined} [options.key] - Key of a request; defaults to
+ *   the client IP. Requests without a key are not limited.
+ * @param {string} [options.message] - Message of the 429 response.
+ * @returns {Function} Express middleware
+ */
+export function rateLimit({ name, windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) {
+  return async (req, res, next) => {
+    const requestKey = key(req);
+    if (requestKey === undefined || requestKey === null || requestKey === '') {
+      return next();
+    }
+
+    let window;
+    try {
+      window = await store.increment(`${name}:${requestKey}`, windowMs);
+    } catch (error) {
+      logger.error('Rate limit store error', { limiter: name, store: store.name, error });
+      return next();
+    }
+
+    const retryAfter = secondsUntil(window.resetAt);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(retryAfter)
+    });
+
+    if (window.count > max) {
+      logger.warn('Rate limit exceeded', { limiter: name, count: window.count });
+      return next(new TooManyRequestsError(message, { retryAfter }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Returns the seconds an account is still locked out of logging in, or 0.
+ * @param {string} email - The email the login was attempted with.
+ * @returns {Promise<number>}
+ */
+export async function getLoginLockout(email) {
+  const lock = await store.get(accountKey('login-lock', email));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+}
+
+/**
+ * Records a failed login for an account and locks it once failures reach the
+ * threshold. Every failure after that locks it twice as long as the one before.
+ * @param {string} email - The email the login was attempted with.
+ * @returns {Promise<number>} Seconds the account is now locked for, or 0.
+ */
+export async function recordLoginFailure(email) {
+  const { count } = await store.increment(accountKey('login-failures', email), LOGIN_FAILURE_WINDOW_MS);
+  if (count < LOGIN_LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const lockSeconds = Math.min(
+    LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (count - LOGIN_LOCKOUT_THRESHOLD),
+    LOGIN_LOCKOUT_MAX_SECONDS
+  );
+  const lock = await store.increment(accountKey('login-lock', email), lockSeconds * 1000);
+  logger.warn('Account locked after failed logins', { failures: count, lockSeconds });
+  return secondsUntil(lock.resetAt);
+}
+
+/**
+ * Forgets the failed logins of an account (after a successful login).
+ * @param {string} email - The email the login succeeded with.
+ * @returns {Promise<void>}
+ */
+export async function clearLoginFailures(email) {
+  await store.reset(accountKey('login-failures', email));
+}
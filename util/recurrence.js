@@ -0,0 +1,187 @@
+import rrule from 'rrule';
+
+const { RRule } = rrule;
+
+// Occurrences of recurring events are generated this far ahead
+export const OCCURRENCE_HORIZON_DAYS = 365;
+
+// Safety cap on how many occurrences a single series may expand to
+const MAX_OCCURRENCES_PER_SERIES = 1000;
+
+const ALLOWED_FREQUENCIES = [RRule.DAILY, RRule.WEEKLY, RRule.MONTHLY, RRule.YEARLY];
+
+// Parse an RRULE string into rrule options (accepts an optional "RRULE:" prefix)
+const parseRuleOptions = (ruleString) => {
+  const options = RRule.parseString(ruleString.trim().replace(/^RRULE:/i, ''));
+
+  if (options.dtstart) {
+    throw new Error('Recurrence rule must not contain DTSTART; the event date is used as the start');
+  }
+  if (!ALLOWED_FREQUENCIES.includes(options.freq)) {
+    throw new Error('Recurrence rule FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+  }
+  if (options.interval !== undefined && (!Number.isInteger(options.interval) || options.interval < 1)) {
+    throw new Error('Recurrence rule INTERVAL must be a positive whole number');
+  }
+  if (options.count !== undefined && options.count !== null && options.count < 1) {
+    throw new Error('Recurrence rule COUNT must be a positive whole number');
+  }
+
+  return options;
+};
+
+// Serialize rrule options back to a rule string without the "RRULE:" prefix
+const stringifyRuleOptions = (options) => RRule.optionsToString(options).replace(/^RRULE:/, '');
+
+const buildRule = (ruleString, dtstart) => new RRule({
+  ...parseRuleOptions(ruleString),
+  dtstart: new Date(dtstart)
+});
+
+/**
+ * Validates an iCalendar RRULE and returns it in normalized form.
+ * @param {string} ruleString - e.g. "FREQ=WEEKLY;BYDAY=TU;UNTIL=20261231T000000Z".
+ * @returns {string} The normalized rule (no "RRULE:" prefix).
+ * @throws {Error} With a user-facing message when the rule is invalid.
+ */
+export function normalizeRecurrenceRule(ruleString) {
+  if (typeof ruleString !== 'string' || ruleString.trim() === '') {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  let options;
+  try {
+    options = parseRuleOptions(ruleString);
+  } catch (error) {
+    throw new Error(error.message.startsWith('Recurrence rule')
+      ? error.message
+      : `Invalid recurrence rule: ${error.message}`);
+  }
+
+  return stringifyRuleOptions(options);
+}
+
+/**
+ * Parses exception dates given as an array or a comma-separated string.
+ * @param {string|string[]} input - Exception dates.
+ * @returns {string[]} Sorted, de-duplicated ISO date strings.
+ * @throws {Error} When a date is invalid.
+ */
+export function parseExceptionDates(input) {
+  const values = Array.isArray(input) ? input : String(input).split(',');
+  const dates = values
+    .map(value => String(value).trim())
+    .filter(value => value !== '')
+    .map(value => {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid exception date: ${value}`);
+      }
+      return date.toISOString();
+    });
+
+  return [...new Set(dates)].sort();
+}
+
+/**
+ * Splits the stored comma-separated exception dates of an event.
+ * @param {string|null} stored - The recurrence_exdates column value.
+ * @returns {string[]} ISO date strings.
+ */
+export function splitExceptionDates(stored) {
+  return stored ? stored.split(',') : [];
+}
+
+/**
+ * Expands a series into its occurrence start dates inside a window.
+ * @param {string} ruleString - The series RRULE.
+ * @param {string} dtstart - ISO start of the first occurrence (the event date).
+ * @param {Object} window
+ * @param {Date} window.from - Window start (inclusive).
+ * @param {Date} window.to - Window end (inclusive).
+ * @param {string[]} [window.exclude] - ISO dates to leave out (EXDATEs, detached instances).
+ * @returns {string[]} ISO occurrence start dates.
+ */
+export function expandOccurrences(ruleString, dtstart, { from, to, exclude = [] }) {
+  const excluded = new Set(exclude.map(date => new Date(date).toISOString()));
+  const occurrences = [];
+
+  buildRule(ruleString, dtstart).between(from, to, true, (date) => {
+    if (!excluded.has(date.toISOString())) {
+      occurrences.push(date.toISOString());
+    }
+    return occurrences.length < MAX_OCCURRENCES_PER_SERIES;
+  });
+
+  return occurrences;
+}
+
+/**
+ * Returns the start of the last occurrence of a bounded series.
+ * @param {string} ruleString - The series RRULE.
+ * @param {string} dtstart - ISO start of the first occurrence.
+ * @returns {string|null} ISO date, or null when the series never ends.
+ */
+export function getSeriesEnd(ruleString, dtstart) {
+  const options = parseRuleOptions(ruleString);
+  if (!options.until && !options.count) {
+    return null;
+  }
+
+  const rule = buildRule(ruleString, dtstart);
+  const last = options.until
+    ? rule.before(options.until, true)
+    : rule.all((date, index) => index < options.count).pop();
+
+  return last ? last.toISOString() : new Date(dtstart).toISOString();
+}
+
+/**
+ * Checks whether a date is one of the series' generated occurrences.
+ * @param {string} ruleString - The series RRULE.
+ * @param {string} dtstart - ISO start of the first occurrence.
+ * @param {string} date - ISO date to check.
+ * @returns {boolean} True when the series has an occurrence starting at that exact time.
+ */
+export function isSeriesOccurrence(ruleString, dtstart, date) {
+  const target = new Date(date);
+  return buildRule(ruleString, dtstart).between(target, target, true).length > 0;
+}
+
+/**
+ * Splits a series at an occurrence: the original part ends just before it
+ * and the new part starts at it, keeping any remaining COUNT.
+ * @param {string} ruleString - The series RRULE.
+ * @param {string} dtstart - ISO start of the first occurrence.
+ * @param {string} splitAt - ISO start of the first occurrence of the new part.
+ * @returns {{ before: string, after: string }} Rules for both parts.
+ */
+export function splitRecurrenceRule(ruleString, dtstart, splitAt) {
+  const options = parseRuleOptions(ruleString);
+  const splitDate = new Date(splitAt);
+
+  const before = { ...options, count: null, until: new Date(splitDate.getTime() - 1000) };
+  const after = { ...options };
+
+  if (options.count) {
+    const occurredBefore = buildRule(ruleString, dtstart)
+      .between(new Date(dtstart), before.until, true).length;
+    after.count = Math.max(options.count - occurredBefore, 1);
+  }
+
+  return {
+    before: stringifyRuleOptions(before),
+    after: stringifyRuleOptions(after)
+  };
+}
+
+/**
+ * Returns the window recurring series are materialized for.
+ * @param {string} dtstart - ISO start of the first occurrence.
+ * @returns {{ from: Date, to: Date }}
+ */
+export function getOccurrenceWindow(dtstart) {
+  const to = new Date();
+  to.setDate(to.getDate() + OCCURRENCE_HORIZON_DAYS);
+  return { from: new Date(dtstart), to };
+}
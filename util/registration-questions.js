@@ -0,0 +1,140 @@
+/**
+ * Kinds of registration questions: free text, one option, or any number of options.
+ * @type {ReadonlyArray<string>}
+ */
+export const QUESTION_TYPES = Object.freeze(['text', 'single_choice', 'multi_choice']);
+
+// Most questions one event may ask, and most options one choice question may offer
+export const MAX_QUESTIONS_PER_EVENT = 20;
+export const MAX_QUESTION_OPTIONS = 50;
+
+// Longest accepted answer to a text question
+export const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+// Question keys name the answers, e.g. { "diet": "vegan", "shirt_size": "M" }
+const QUESTION_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const isChoiceQuestion = (question) => question.type !== 'text';
+
+/**
+ * Checks registration questions beyond the request schema: keys must be unique
+ * identifiers, choice questions need at least two distinct options and text
+ * questions take none.
+ * @param {Object[]} questions - Questions as validated by SetRegistrationQuestionsRequest.
+ * @returns {{ errors: Array<{ field: string, message: string }>, questions: Object[] }}
+ *   Problems, and the questions normalized for the model (labels and options trimmed).
+ */
+export function validateQuestions(questions) {
+  const errors = [];
+  const seenKeys = new Set();
+
+  const normalized = questions.map((question, index) => {
+    const field = `questions[${index}]`;
+    const key = question.key.trim();
+    const options = question.options?.map(option => option.trim()) ?? null;
+
+    if (!QUESTION_KEY_PATTERN.test(key)) {
+      errors.push({ field: `${field}.key`, message: `${field}.key must start with a lowercase letter and contain only lowercase letters, digits and underscores (at most 40)` });
+    } else if (seenKeys.has(key)) {
+      errors.push({ field: `${field}.key`, message: `${field}.key "${key}" is used by another question` });
+    }
+    seenKeys.add(key);
+
+    if (question.label.trim() === '') {
+      errors.push({ field: `${field}.label`, message: `${field}.label must not be empty` });
+    }
+
+    if (isChoiceQuestion(question)) {
+      if (!options || options.length < 2) {
+        errors.push({ field: `${field}.options`, message: `${field}.options must list at least 2 choices for ${question.type} questions` });
+      } else if (options.some(option => option === '')) {
+        errors.push({ field: `${field}.options`, message: `${field}.options must not contain empty choices` });
+      } else if (new Set(options).size !== options.length) {
+        errors.push({ field: `${field}.options`, message: `${field}.options must not contain duplicates` });
+      }
+    } else if (options) {
+      errors.push({ field: `${field}.options`, message: `${field}.options is only allowed for choice questions` });
+    }
+
+    return {
+      key,
+      label: question.label.trim(),
+      type: question.type,
+      required: question.required === true,
+      options: isChoiceQuestion(question) ? options : null
+    };
+  });
+
+  return { errors, questions: normalized };
+}
+
+/**
+ * Checks a registration's answers against an event's questions: required
+ * questions must be answered, choices must be offered options and unknown
+ * questions are refused.
+ * @param {Object[]} questions - The event's questions (see eventQuestionModel.getQuestions).
+ * @param {Object<string, string|string[]>} [answers] - Answers by question key.
+ * @returns {{ errors: Array<{ field: string, message: string }>, answers: Object<string, string|string[]> }}
+ *   Problems, and the answers normalized for storage (text trimmed, choices in
+ *   option order, unanswered questions left out).
+ */
+export function validateAnswers(questions, answers = {}) {
+  const errors = [];
+  const normalized = {};
+  const questionsByKey = new Map(questions.map(question => [question.key, question]));
+
+  for (const key of Object.keys(answers)) {
+    if (!questionsByKey.has(key)) {
+      errors.push({ field: `answers.${key}`, message: `answers.${key} is not a question of this event` });
+    }
+  }
+
+  for (const question of questions) {
+    const field = `answers.${question.key}`;
+    const value = answers[question.key];
+    const values = [].concat(value ?? []).map(item => String(item).trim()).filter(item => item !== '');
+
+    if (values.length === 0) {
+      if (question.required) {
+        errors.push({ field, message: `${field} is required (${question.label})` });
+      }
+      continue;
+    }
+
+    if (question.type === 'text') {
+      if (Array.isArray(value)) {
+        errors.push({ field, message: `${field} must be a string` });
+      } else if (values[0].length > MAX_TEXT_ANSWER_LENGTH) {
+        errors.push({ field, message: `${field} must not exceed ${MAX_TEXT_ANSWER_LENGTH} characters` });
+      } else {
+        normalized[question.key] = values[0];
+      }
+      continue;
+    }
+
+    const unknownChoices = values.filter(item => !question.options.includes(item));
+    if (unknownChoices.length > 0) {
+      errors.push({ field, message: `${field} must be one of: ${question.options.join(', ')}` });
+    } else if (question.type === 'single_choice' && values.length > 1) {
+      errors.push({ field, message: `${field} takes a single choice` });
+    } else if (question.type === 'single_choice') {
+      normalized[question.key] = values[0];
+    } else {
+      normalized[question.key] = question.options.filter(option => values.includes(option));
+    }
+  }
+
+  return { errors, answers: normalized };
+}
+
+/**
+ * Formats an answer as one line of text (several choices are joined with "; ").
+ * @param {string|string[]|undefined} value - A stored answer.
+ * @returns {string|null} null when the question was not answered.
+ */
+export function formatAnswer(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return Array.isArray(value) ? value.join('; ') : value;
+}
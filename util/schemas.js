@@ -0,0 +1,444 @@
+import { ROLES } from './auth.js';
+import { ERROR_CODES } from './errors.js';
+import { WEBHOOK_EVENT_TYPES } from './webhooks.js';
+import { IMPORT_FORMATS } from './import.js';
+import { MAX_QUESTIONS_PER_EVENT, MAX_QUESTION_OPTIONS, QUESTION_TYPES } from './registration-questions.js';
+
+// JSON Schemas of the API. Request schemas validate request bodies (see
+// util/validation.js) and, together with the response schemas, make up the
+// components of the OpenAPI document (see util/openapi.js).
+
+const emailField = { type: 'string', format: 'email', maxLength: 254, 'x-sanitize': true, examples: ['jane@example.com'] };
+const passwordField = { type: 'string', minLength: 6, maxLength: 128, format: 'password' };
+const dateTimeField = { type: 'string', format: 'date-time', examples: ['2026-12-25T15:00:00Z'] };
+const webhookEventsField = {
+  type: 'array',
+  items: { type: 'string', enum: WEBHOOK_EVENT_TYPES },
+  minItems: 1,
+  uniqueItems: true,
+  description: 'Notifications to send to the endpoint'
+};
+
+// Fields shared by event create and update
+const eventFields = {
+  title: { type: 'string', minLength: 3, maxLength: 100, 'x-sanitize': true },
+  description: { type: ['string', 'null'], maxLength: 500, 'x-sanitize': true },
+  address: { type: ['string', 'null'], maxLength: 200, 'x-sanitize': true },
+  date: { ...dateTimeField, description: 'Start of the event (of the first occurrence for a series); must be in the future and at most 1 year ahead' },
+  capacity: { type: ['integer', 'null'], minimum: 1, maximum: 100000, description: 'Maximum number of registrations; unlimited when omitted or null (null removes the limit of an existing event)' },
+  latitude: { type: ['number', 'null'], minimum: -90, maximum: 90, description: 'With longitude; geocoded from the address when both are omitted' },
+  longitude: { type: ['number', 'null'], minimum: -180, maximum: 180, description: 'With latitude; geocoded from the address when both are omitted' },
+  recurrence_rule: {
+    type: 'string',
+    maxLength: 500,
+    description: 'iCalendar RRULE without DTSTART (FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY)',
+    examples: ['FREQ=WEEKLY;BYDAY=TU;COUNT=10']
+  },
+  recurrence_exdates: {
+    type: ['array', 'string'],
+    items: dateTimeField,
+    maxItems: 500,
+    description: 'Occurrence start dates to skip, as a list or a comma-separated string'
+  }
+};
+
+// Fields of a registration question
+const questionFields = {
+  key: { type: 'string', minLength: 1, maxLength: 40, description: 'Identifies the answer (lowercase letters, digits and underscores)', examples: ['diet'] },
+  label: { type: 'string', minLength: 1, maxLength: 200, description: 'The question shown to attendees', examples: ['Dietary requirements'] },
+  type: { type: 'string', enum: QUESTION_TYPES },
+  required: { type: 'boolean', default: false },
+  options: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 100 },
+    minItems: 2,
+    maxItems: MAX_QUESTION_OPTIONS,
+    description: 'Choices of single_choice and multi_choice questions',
+    examples: [['none', 'vegetarian', 'vegan']]
+  }
+};
+
+const schemas = {
+  // Request bodies
+  SignupRequest: {
+    type: 'object',
+    properties: {
+      email: emailField,
+      password: passwordField,
+      name: { type: 'string', maxLength: 100, 'x-sanitize': true }
+    },
+    required: ['email', 'password']
+  },
+
+  LoginRequest: {
+    type: 'object',
+    properties: {
+      email: emailField,
+      password: { type: 'string', format: 'password' }
+    },
+    required: ['email', 'password']
+  },
+
+  RefreshRequest: {
+    type: 'object',
+    properties: {
+      refreshToken: { type: 'string' }
+    },
+    required: ['refreshToken']
+  },
+
+  ForgotPasswordRequest: {
+    type: 'object',
+    properties: {
+      email: emailField
+    },
+    required: ['email']
+  },
+
+  ResetPasswordRequest: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      password: passwordField
+    },
+    required: ['token', 'password']
+  },
+
+  UpdateProfileRequest: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 100, 'x-sanitize': true },
+      email: emailField
+    },
+    minProperties: 1
+  },
+
+  ChangePasswordRequest: {
+    type: 'object',
+    properties: {
+      currentPassword: { type: 'string', format: 'password' },
+      newPassword: passwordField
+    },
+    required: ['currentPassword', 'newPassword']
+  },
+
+  DeleteAccountRequest: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', format: 'password' }
+    },
+    required: ['password']
+  },
+
+  SetRoleRequest: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: Object.values(ROLES) }
+    },
+    required: ['role']
+  },
+
+  CreateEventRequest: {
+    type: 'object',
+    properties: eventFields,
+    required: ['title', 'date']
+  },
+
+  UpdateEventRequest: {
+    type: 'object',
+    properties: {
+      ...eventFields,
+      scope: {
+        type: 'string',
+        enum: ['series', 'occurrence', 'following'],
+        default: 'series',
+        description: 'For series: change every occurrence, one occurrence, or this and all following ones'
+      },
+      occurrence: { ...dateTimeField, description: 'Start of the occurrence to change (with scope occurrence or following)' }
+    }
+  },
+
+  ImportEventsRequest: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: Object.keys(IMPORT_FORMATS), description: 'Format of the file; told from its name or content type when omitted' },
+      dry_run: { type: 'boolean', default: false, description: 'Only check the file and report per row; nothing is saved' }
+    }
+  },
+
+  RegisterForEventRequest: {
+    type: 'object',
+    properties: {
+      occurrence: { ...dateTimeField, description: 'For series: register for this occurrence only' },
+      answers: {
+        type: 'object',
+        additionalProperties: { type: ['string', 'array'], items: { type: 'string' } },
+        description: 'Answers to the event\'s registration questions by question key (a list for multi_choice)',
+        examples: [{ diet: 'vegan', shirt_size: 'M', topics: ['APIs', 'Testing'] }]
+      }
+    }
+  },
+
+  SetRegistrationQuestionsRequest: {
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: questionFields,
+          required: ['key', 'label', 'type'],
+          additionalProperties: false
+        },
+        maxItems: MAX_QUESTIONS_PER_EVENT,
+        description: 'The questions in display order; an empty list removes them'
+      }
+    },
+    required: ['questions']
+  },
+
+  CheckInRequest: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', minLength: 1, maxLength: 100, description: 'Ticket code from the attendee\'s QR code' }
+    },
+    required: ['code']
+  },
+
+  AddEventImagesRequest: {
+    type: 'object',
+    properties: {
+      captions: {
+        type: ['array', 'string'],
+        items: { type: 'string', maxLength: 500 },
+        maxLength: 500,
+        description: 'One caption per uploaded image, in upload order'
+      },
+      cover: { type: 'boolean', description: 'Make the first uploaded image the cover' }
+    }
+  },
+
+  UpdateEventImageRequest: {
+    type: 'object',
+    properties: {
+      caption: { type: ['string', 'null'], maxLength: 500, 'x-sanitize': true },
+      is_cover: { type: 'boolean', const: true, description: 'Make this image the cover' }
+    },
+    minProperties: 1
+  },
+
+  ReorderEventImagesRequest: {
+    type: 'object',
+    properties: {
+      order: {
+        type: 'array',
+        items: { type: 'integer' },
+        uniqueItems: true,
+        description: 'Every image ID of the event, in the new order'
+      }
+    },
+    required: ['order']
+  },
+
+  CreateWebhookRequest: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: 2000, description: 'Endpoint notifications are POSTed to', examples: ['https://example.com/hooks/events'] },
+      events: webhookEventsField,
+      description: { type: ['string', 'null'], maxLength: 200, 'x-sanitize': true }
+    },
+    required: ['url', 'events']
+  },
+
+  UpdateWebhookRequest: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: 2000 },
+      events: webhookEventsField,
+      description: { type: ['string', 'null'], maxLength: 200, 'x-sanitize': true },
+      active: { type: 'boolean', description: 'Inactive webhooks receive nothing; pending retries are given up' },
+      rotate_secret: { type: 'boolean', const: true, description: 'Replace the signing secret (the new one is returned once)' }
+    },
+    minProperties: 1
+  },
+
+  // Responses
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      email: { type: 'string', format: 'email' },
+      name: { type: 'string' },
+      role: { type: 'string', enum: Object.values(ROLES) },
+      disabled_at: { type: ['string', 'null'] },
+      email_verified_at: { type: ['string', 'null'] },
+      created_at: { type: 'string' }
+    }
+  },
+
+  Event: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      description: { type: ['string', 'null'] },
+      address: { type: ['string', 'null'] },
+      date: { type: 'string', format: 'date-time' },
+      image_url: { type: ['string', 'null'], description: 'Cover image, full size' },
+      image_medium_url: { type: ['string', 'null'] },
+      image_thumbnail_url: { type: ['string', 'null'] },
+      capacity: { type: ['integer', 'null'] },
+      latitude: { type: ['number', 'null'] },
+      longitude: { type: ['number', 'null'] },
+      recurrence_rule: { type: ['string', 'null'] },
+      recurrence_exdates: { type: ['string', 'null'], description: 'Comma-separated ISO dates' },
+      recurrence_end: { type: ['string', 'null'] },
+      parent_event_id: { type: ['integer', 'null'], description: 'Series this detached occurrence belongs to' },
+      recurrence_id: { type: ['string', 'null'], description: 'Original start of this detached occurrence' },
+      sequence: { type: 'integer' },
+      user_id: { type: 'integer' },
+      created_at: { type: 'string' },
+      occurrence_date: { type: 'string', description: 'In lists: start of this occurrence' },
+      distance_km: { type: 'number', description: 'In nearby lists: distance from the requested point in kilometers' }
+    }
+  },
+
+  EventImage: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      event_id: { type: 'integer' },
+      image_url: { type: 'string' },
+      image_medium_url: { type: ['string', 'null'] },
+      image_thumbnail_url: { type: ['string', 'null'] },
+      caption: { type: ['string', 'null'] },
+      position: { type: 'integer' },
+      is_cover: { type: 'integer', enum: [0, 1] },
+      created_at: { type: 'string' }
+    }
+  },
+
+  RegistrationQuestion: {
+    type: 'object',
+    properties: {
+      ...questionFields,
+      options: { ...questionFields.options, type: ['array', 'null'] }
+    }
+  },
+
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENT_TYPES } },
+      description: { type: ['string', 'null'] },
+      active: { type: 'boolean' },
+      secret: { type: 'string', description: 'Signing secret; only returned when the webhook is created or the secret rotated' },
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' }
+    }
+  },
+
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      webhook_id: { type: 'integer' },
+      event_id: { type: 'string', description: 'ID of the notification (the payload id); the same for every webhook it went to' },
+      event_type: { type: 'string', enum: WEBHOOK_EVENT_TYPES },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: { type: 'integer' },
+      next_attempt_at: { type: ['string', 'null'], description: 'When a pending delivery is tried next' },
+      last_response_status: { type: ['integer', 'null'] },
+      last_error: { type: ['string', 'null'] },
+      created_at: { type: 'string' },
+      completed_at: { type: ['string', 'null'] },
+      payload: { type: 'object', description: 'Only in single-delivery responses: the body that is sent' },
+      attempts_log: {
+        type: 'array',
+        description: 'Only in single-delivery responses: every attempt, oldest first',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            attempted_at: { type: 'string' },
+            duration_ms: { type: 'integer' },
+            response_status: { type: ['integer', 'null'] },
+            response_body: { type: ['string', 'null'], description: 'First 1000 characters' },
+            error: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  },
+
+  ImportSummary: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer', description: 'Events in the file' },
+      valid: { type: 'integer' },
+      invalid: { type: 'integer' },
+      skipped: { type: 'integer' }
+    }
+  },
+
+  ImportRow: {
+    type: 'object',
+    properties: {
+      row: { type: 'integer', description: 'CSV line, or position of the event in an iCalendar file' },
+      title: { type: ['string', 'null'] },
+      status: { type: 'string', enum: ['valid', 'invalid', 'skipped', 'created'] },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: ['string', 'null'] },
+            message: { type: 'string' }
+          }
+        }
+      },
+      event_id: { type: 'integer', description: 'Only after an import: the created event' }
+    }
+  },
+
+  Pagination: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      count: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+      nextOffset: { type: ['integer', 'null'] }
+    }
+  },
+
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable, machine-readable error code' },
+      message: { type: 'string', description: 'Human-readable message; may change' },
+      details: {
+        type: 'array',
+        description: 'Present when validation failed: one entry per problem',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: ['string', 'null'], description: 'Request field (body or query) the problem is about' },
+            message: { type: 'string' }
+          },
+          required: ['field', 'message']
+        }
+      },
+      errors: { type: 'array', items: { type: 'string' }, description: 'Messages of details (kept for older clients)' },
+      requestId: { type: 'string', description: 'Same as the X-Request-Id response header' }
+    },
+    required: ['success', 'code', 'message', 'requestId']
+  }
+};
+
+export default schemas;
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl as getS3SignedUrl } from '@aws-sdk/s3-request-presigner';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Signed URLs are valid for this many seconds unless asked otherwise
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+/**
+ * A storage adapter keeps uploaded files under flat keys (e.g. "1700000000-1-ab12-full.webp").
+ * Any object with these methods can be plugged in with setStorage().
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Adapter name, used in logs.
+ * @property {(key: string, body: Buffer, options?: { contentType?: string }) => Promise<void>} put - Stores a file.
+ * @property {(key: string) => Promise<void>} delete - Removes a file (missing files are ignored).
+ * @property {(key: string) => string} getUrl - Public URL of a file.
+ * @property {(key: string, options?: { expiresIn?: number }) => Promise<string>} getSignedUrl - Time-limited URL of a file (the public URL for backends whose files are public).
+ */
+
+// Keys become file names and URL path segments, so only allow a safe subset
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !/^[\w.-]+$/.test(key) || key.startsWith('.')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Adapter that keeps files in a local folder served by express.static. Only
+ * suitable for a single API instance. Its files are public, so its signed URLs
+ * are the public URLs (they do not expire).
+ * @param {Object} options
+ * @param {string} options.dir - Folder to store files in.
+ * @param {string} options.baseUrl - URL path the folder is served under, e.g. "/images".
+ * @returns {StorageAdapter}
+ */
+export function createLocalStorage({ dir, baseUrl }) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    logger.info('Created upload directory', { dir });
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      assertValidKey(key);
+      await fs.promises.writeFile(path.join(dir, key), body);
+    },
+
+    async delete(key) {
+      assertValidKey(key);
+      await fs.promises.rm(path.join(dir, key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    async getSignedUrl(key) {
+      assertValidKey(key);
+      return this.getUrl(key);
+    }
+  };
+}
+
+/**
+ * Adapter for Amazon S3 or an S3-compatible service such as MinIO.
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name.
+ * @param {string} [options.region] - Region (MinIO accepts any, e.g. "us-east-1").
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. "http://localhost:9000" for MinIO.
+ * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed for MinIO).
+ * @param {string} [options.accessKeyId] - Credentials; the AWS default chain is used when omitted.
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.publicUrl] - Base URL files are publicly served from (bucket URL or CDN).
+ * @returns {StorageAdapter}
+ */
+export function createS3Storage({ bucket, region = 'us-east-1', endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, publicUrl }) {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket name (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const defaultPublicUrl = endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const baseUrl = (publicUrl || defaultPublicUrl).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      assertValidKey(key);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable' // Keys are never reused
+      }));
+    },
+
+    async delete(key) {
+      assertValidKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    async getSignedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL_SECONDS } = {}) {
+      assertValidKey(key);
+      return getS3SignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    }
+  };
+}
+
+// Pick the default adapter from configuration
+const createDefaultStorage = () => {
+  if (process.env.STORAGE_DRIVER === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL
+    });
+  }
+
+  return createLocalStorage({
+    dir: path.join(__dirname, '..', 'public', 'images'), // Served by express.static in app.js
+    baseUrl: '/images'
+  });
+};
+
+let storage = createDefaultStorage();
+
+/**
+ * Replaces the active storage adapter.
+ * @param {StorageAdapter} newStorage - The adapter to use from now on.
+ */
+export function setStorage(newStorage) {
+  const methods = ['put', 'delete', 'getUrl', 'getSignedUrl'];
+  if (!newStorage || methods.some(method => typeof newStorage[method] !== 'function')) {
+    throw new Error(`Storage adapter must implement ${methods.join(', ')}`);
+  }
+  storage = newStorage;
+}
+
+/**
+ * Returns the active storage adapter.
+ * @returns {StorageAdapter}
+ */
+export function getStorage() {
+  return storage;
+}
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+// Tickets use their own secret so a ticket signature can never pass as another token
+const TICKET_SECRET = process.env.TICKET_SECRET || `${process.env.JWT_SECRET || 'your_jwt_secret_key'}:tickets`;
+
+// Length of the signature part of a ticket code (base64url, 128 bits)
+const SIGNATURE_LENGTH = 22;
+
+// Ticket codes look like "<registration ID>.<event ID>.<signature>"
+const TICKET_CODE_PATTERN = new RegExp(`^(\\d+)\\.(\\d+)\\.([\\w-]{${SIGNATURE_LENGTH}})$`);
+
+// Image formats a ticket QR code can be rendered as, with their content types
+export const TICKET_FORMATS = Object.freeze({
+  png: 'image/png',
+  svg: 'image/svg+xml'
+});
+
+const sign = (registrationId, eventId, userId) => crypto
+  .createHmac('sha256', TICKET_SECRET)
+  .update(`ticket:${registrationId}:${eventId}:${userId}`)
+  .digest('base64url')
+  .slice(0, SIGNATURE_LENGTH);
+
+/**
+ * Creates the ticket code of a registration. The code is derived from the
+ * registration, so it never needs storing and stops working once the
+ * registration is cancelled.
+ * @param {{ id: number, event_id: number, user_id: number }} registration
+ * @returns {string} The ticket code.
+ */
+export function createTicketCode(registration) {
+  const { id, event_id: eventId, user_id: userId } = registration;
+  return `${id}.${eventId}.${sign(id, eventId, userId)}`;
+}
+
+/**
+ * Reads the registration and event IDs from a ticket code, without checking
+ * the signature (that needs the registration, see verifyTicketCode).
+ * @param {string} code - A scanned ticket code.
+ * @returns {{ registrationId: number, eventId: number }|null} null when the code is malformed.
+ */
+export function parseTicketCode(code) {
+  const match = typeof code === 'string' ? code.trim().match(TICKET_CODE_PATTERN) : null;
+  return match ? { registrationId: Number(match[1]), eventId: Number(match[2]) } : null;
+}
+
+/**
+ * Checks that a ticket code was issued for a registration.
+ * @param {string} code - A scanned ticket code.
+ * @param {{ id: number, event_id: number, user_id: number }} registration - The registration it names.
+ * @returns {boolean}
+ */
+export function verifyTicketCode(code, registration) {
+  const expected = Buffer.from(createTicketCode(registration));
+  const actual = Buffer.from(code.trim());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Renders a ticket code as a QR code image.
+ * @param {string} code - The ticket code.
+ * @param {'png'|'svg'} format - One of TICKET_FORMATS.
+ * @returns {Promise<Buffer|string>} PNG data, or SVG markup.
+ */
+export async function renderTicketQrCode(code, format) {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+  return format === 'svg'
+    ? QRCode.toString(code, { ...options, type: 'svg' })
+    : QRCode.toBuffer(code, { ...options, type: 'png', width: 300 });
+}
@@ -1,31 +1,54 @@
 import multer from 'multer';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '..', 'public', 'images');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  console.log('Created upload directory:', uploadDir);
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + req.user?.id + '-';
-    const filename = uniqueSuffix + file.originalname.replace(/\s+/g, '-').toLowerCase();
-    cb(null, filename);
+import sharp from 'sharp';
+import crypto from 'crypto';
+import { getStorage } from './storage.js';
+import logger from './logger.js';
+import { BadRequestError } from './errors.js';
+
+// Uploads are kept in memory until they are validated and re-encoded,
+// so the original file never reaches storage
+const storage = multer.memoryStorage();
+
+// Every uploaded image is re-encoded to WebP in these sizes (never enlarged)
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 320, height: 320, quality: 75 },
+  medium: { width: 800, height: 800, quality: 80 },
+  full: { width: 1920, height: 1920, quality: 85 }
+};
+
+// Largest accepted image in pixels (width × height). A small compressed file
+// can decode to a huge image, so this is checked before decoding.
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Helper function to detect the real image type from the file's first bytes
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
   }
-});
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+// Helper function to list the files of an image: a processed image's variants,
+// or just the file itself for images uploaded before processing existed
+const getImageFilenames = (filename) => {
+  const match = filename.match(/^(.+)-(?:thumbnail|medium|full)\.webp$/);
+  if (!match) {
+    return [filename];
+  }
+  return Object.keys(IMAGE_VARIANTS).map(variant => `${match[1]}-${variant}.webp`);
+};
 
-// File filter to only allow image files
+// File filter to only allow image files (a first check on the client-supplied
+// type; processEventImage checks the actual file contents)
 const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
     cb(null, true);
@@ -47,51 +70,165 @@ const upload = multer({
 // Middleware for single event image upload
 export const uploadEventImage = upload.single('image');
 
-// Error handling middleware for multer
-export const handleUploadError = (error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 5MB.'
-      });
+// Most images accepted in one gallery upload
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Middleware for uploading several gallery images at once (the count is
+// limited by array(), which rejects extra files as unexpected)
+export const uploadEventImages = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit per image
+  },
+  fileFilter: fileFilter
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+// Largest accepted import file (CSV or iCalendar)
+const MAX_IMPORT_FILE_SIZE = 2 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  }
+}).single('file');
+
+// Messages for multer's errors on import uploads
+const IMPORT_UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File too large. Maximum size is 2MB.',
+  LIMIT_FILE_COUNT: 'Too many files. Upload one file at a time.',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected field. Use "file" field for the import file.'
+};
+
+// Middleware for an event import file ("file" field, kept in memory); its
+// upload problems become 400 INVALID_UPLOAD
+export const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new BadRequestError(IMPORT_UPLOAD_ERROR_MESSAGES[error.code] || error.message, 'INVALID_UPLOAD'));
+    }
+    next(error);
+  });
+};
+
+// Helper function to re-encode one image into its variants. The variants are
+// clones of one input, which sharp then only has to read once.
+const encodeImageVariants = async (buffer) => {
+  const input = sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate();
+  const images = {};
+  for (const [variant, { width, height, quality }] of Object.entries(IMAGE_VARIANTS)) {
+    images[variant] = await input.clone()
+      .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer();
+  }
+  return images;
+};
+
+// Helper function to tell whether sharp refused an image for its pixel count
+const isPixelLimitError = (error) => /pixel limit/i.test(error.message);
+
+// Middleware that checks the uploaded image(s) and writes their variants. The original
+// is re-encoded, which also drops EXIF and other metadata (after applying the
+// EXIF orientation). Sets file.filename to the full-size variant of each file.
+export const processEventImage = async (req, res, next) => {
+  const files = req.files?.length ? req.files : (req.file ? [req.file] : []);
+  if (files.length === 0) {
+    return next();
+  }
+
+  if (files.some(file => !detectImageType(file.buffer))) {
+    return next(new BadRequestError('Only image files (JPEG, PNG, GIF, WebP) are allowed.', 'INVALID_UPLOAD'));
+  }
+
+  const encodedImages = [];
+  try {
+    for (const file of files) {
+      encodedImages.push(await encodeImageVariants(file.buffer));
     }
-    if (error.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        success: false,
-        message: 'Too many files. Only one image allowed.'
-      });
+  } catch (error) {
+    if (isPixelLimitError(error)) {
+      return next(new BadRequestError(`Image too large. Maximum size is ${MAX_IMAGE_PIXELS / 1000000} megapixels.`, 'INVALID_UPLOAD'));
     }
-    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-      return res.status(400).json({
-        success: false,
-        message: 'Unexpected field. Use "image" field for file upload.'
-      });
+    logger.warn('Error processing uploaded image', { error });
+    return next(new BadRequestError('The image could not be processed. Please upload a valid image file.', 'INVALID_UPLOAD'));
+  }
+
+  const storedFilenames = [];
+  try {
+    for (const [index, images] of encodedImages.entries()) {
+      const baseName = `${Date.now()}-${req.user?.id}-${crypto.randomBytes(6).toString('hex')}`;
+      const variants = {};
+      for (const [variant, image] of Object.entries(images)) {
+        const filename = `${baseName}-${variant}.webp`;
+        await getStorage().put(filename, image, { contentType: 'image/webp' });
+        storedFilenames.push(filename);
+        variants[variant] = filename;
+      }
+
+      files[index].filename = variants.full;
+      files[index].variants = variants;
+      files[index].buffer = null; // Not needed anymore; free the memory
+      logger.debug('Processed image', { baseName, variants: Object.keys(variants) });
     }
+  } catch (error) {
+    storedFilenames.forEach(filename => deleteUploadedFile(filename));
+    return next(error);
+  }
+
+  next();
+};
+
+// Helper function to get the event image fields for a processed upload
+export const getImageUrls = (file) => ({
+  image_url: getStorage().getUrl(file.variants.full),
+  image_medium_url: getStorage().getUrl(file.variants.medium),
+  image_thumbnail_url: getStorage().getUrl(file.variants.thumbnail)
+});
+
+// Messages for multer's upload errors
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File too large. Maximum size is 5MB.',
+  LIMIT_FILE_COUNT: 'Too many files. Only one image allowed.',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected field. Use "image" field for file upload.'
+};
+
+// Error handling middleware for multer: upload problems become 400 INVALID_UPLOAD
+export const handleUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const message = error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'images'
+      ? `Too many files. Upload at most ${MAX_IMAGES_PER_UPLOAD} images at once.`
+      : UPLOAD_ERROR_MESSAGES[error.code] || error.message;
+    return next(new BadRequestError(message, 'INVALID_UPLOAD'));
   }
   
   if (error.message === 'Only image files are allowed!') {
-    return res.status(400).json({
-      success: false,
-      message: 'Only image files (JPEG, PNG, GIF, WebP) are allowed.'
-    });
+    return next(new BadRequestError('Only image files (JPEG, PNG, GIF, WebP) are allowed.', 'INVALID_UPLOAD'));
   }
   
   next(error);
 };
 
-// Helper function to delete uploaded file
+// Error middleware that removes the stored images of a request that failed
+// after its upload was processed, so handlers do not have to clean up
+export const discardUploadsOnError = (error, req, res, next) => {
+  const files = req.files?.length ? req.files : (req.file ? [req.file] : []);
+  files
+    .filter(file => file.variants)
+    .forEach(file => deleteUploadedFile(file.filename));
+  next(error);
+};
+
+// Helper function to delete an uploaded image together with its variants.
+// Deletion runs in the background; failures are logged, not thrown.
 export const deleteUploadedFile = (filename) => {
   if (!filename) return;
   
-  try {
-    const filePath = path.join(uploadDir, filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log(`Deleted file: ${filename}`);
-    }
-  } catch (error) {
-    console.error('Error deleting file:', error);
+  for (const file of getImageFilenames(filename)) {
+    getStorage().delete(file)
+      .then(() => logger.debug('Deleted file', { file }))
+      .catch(error => logger.error('Error deleting file', { file, error }));
   }
 };
 
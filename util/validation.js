@@ -0,0 +1,168 @@
+import Ajv from 'ajv';
+import { ValidationError } from './errors.js';
+
+// Same rule the API has always used for email addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Request bodies arrive as JSON or as multipart form fields (strings), so
+// numbers and booleans are coerced to the schema type before validation
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, strict: true, allowUnionTypes: true, verbose: true });
+
+ajv.addFormat('email', EMAIL_PATTERN);
+
+// Documentation-only format (UIs mask the field); any string is accepted
+ajv.addFormat('password', true);
+
+// Any date JavaScript can parse is accepted; it is normalized to ISO 8601 on save
+ajv.addFormat('date-time', (value) => !isNaN(new Date(value).getTime()));
+
+// Absolute http(s) URLs only
+ajv.addFormat('uri', (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+});
+
+// Marks free-text fields whose whitespace is trimmed and collapsed before validation
+ajv.addKeyword({ keyword: 'x-sanitize', schemaType: 'boolean' });
+
+// Helper function to trim a text value and collapse repeated whitespace
+export const sanitizeText = (text) => text.trim().replace(/\s+/g, ' ');
+
+// Human-readable names for JSON Schema types
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+// Turn one Ajv error into a message in the style of the rest of the API
+const formatMessage = (error, field) => {
+  const { params } = error;
+
+  switch (error.keyword) {
+    case 'required':
+      return `${field ? `${field}.` : ''}${params.missingProperty} is required`;
+    case 'type': {
+      const types = [].concat(params.type).join(',').split(',').filter(type => type !== 'null');
+      return `${field} must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}`;
+    }
+    case 'minLength':
+      return `${field} must be at least ${params.limit} characters long`;
+    case 'maxLength':
+      return `${field} must not exceed ${params.limit} characters`;
+    case 'minimum':
+    case 'maximum': {
+      const { minimum, maximum } = error.parentSchema;
+      if (minimum !== undefined && maximum !== undefined) {
+        return `${field} must be between ${minimum} and ${maximum}`;
+      }
+      return minimum !== undefined ? `${field} must be at least ${minimum}` : `${field} must be at most ${maximum}`;
+    }
+    case 'minItems':
+      return `${field} must contain at least ${params.limit} item(s)`;
+    case 'maxItems':
+      return `${field} must not contain more than ${params.limit} items`;
+    case 'uniqueItems':
+      return `${field} must not contain duplicates`;
+    case 'enum':
+      return `${field} must be one of: ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `${field} can only be ${params.allowedValue}`;
+    case 'minProperties':
+      return 'Nothing to update: send at least one field';
+    case 'format':
+      if (params.format === 'email') {
+        return 'Please provide a valid email address';
+      }
+      if (params.format === 'date-time') {
+        return `${field} must be a valid date in ISO format (e.g., 2024-12-25T15:00:00Z)`;
+      }
+      if (params.format === 'uri') {
+        return `${field} must be a valid http(s) URL`;
+      }
+      return `${field} must be a valid ${params.format}`;
+    case 'additionalProperties':
+      return `${params.additionalProperty} is not an allowed field`;
+    default:
+      return `${field || 'request body'} ${error.message}`;
+  }
+};
+
+// Turn one Ajv error into a field-level validation detail ({ field, message })
+const formatError = (error) => {
+  const path = error.instancePath
+    .split('/')
+    .filter(Boolean)
+    .reduce((result, part) => (/^\d+$/.test(part) ? `${result}[${part}]` : result ? `${result}.${part}` : part), '');
+  const field = error.keyword === 'required'
+    ? `${path ? `${path}.` : ''}${error.params.missingProperty}`
+    : error.keyword === 'additionalProperties' ? error.params.additionalProperty : path;
+
+  return { field: field || null, message: formatMessage(error, path) };
+};
+
+// Compiled validators, cached per schema object
+const validators = new WeakMap();
+
+/**
+ * Validates and normalizes data against a JSON Schema.
+ * Blank top-level values ('') count as not sent, like empty form fields, except
+ * for nullable fields where they become null (clearing the field).
+ * @param {Object} schema - JSON Schema of an object.
+ * @param {Object} data - Data to validate; it is normalized in place.
+ * @returns {Array<{ field: string|null, message: string }>} Validation problems (empty when valid).
+ */
+export function validateSchema(schema, data) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    const propertySchema = schema.properties?.[key];
+    if (propertySchema?.['x-sanitize'] && typeof value === 'string') {
+      data[key] = sanitizeText(value);
+    }
+    if (data[key] === '') {
+      if ([].concat(propertySchema?.type).includes('null')) {
+        data[key] = null;
+      } else {
+        delete data[key];
+      }
+    }
+  }
+
+  const validate = validators.get(schema);
+  if (validate(data)) {
+    return [];
+  }
+
+  // Union types report one error per type; keep each message once
+  const details = validate.errors.map(formatError);
+  return details.filter((detail, index) => details.findIndex(other => other.message === detail.message) === index);
+}
+
+/**
+ * Express middleware that validates req.body against a JSON Schema and passes
+ * a ValidationError (400 VALIDATION_FAILED with field details) on when it
+ * does not match. For uploads, use it after multer so form fields have been parsed.
+ * @param {Object} schema - JSON Schema of the request body.
+ * @returns {Function} Express middleware.
+ */
+export function validateBody(schema) {
+  return (req, res, next) => {
+    req.body = req.body ?? {};
+    const details = validateSchema(schema, req.body);
+
+    if (details.length > 0) {
+      return next(new ValidationError(details));
+    }
+
+    next();
+  };
+}
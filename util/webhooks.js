@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import webhookModel from '../models/webhook-model.js';
+import logger, { runOutsideLogContext } from './logger.js';
+
+/**
+ * Notifications a webhook can subscribe to.
+ * @type {ReadonlyArray<string>}
+ */
+export const WEBHOOK_EVENT_TYPES = Object.freeze([
+  'event.created',
+  'event.updated',
+  'event.deleted',
+  'registration.created',
+  'registration.cancelled'
+]);
+
+// A delivery is tried this many times before it is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Wait before the first retry; doubled for every further retry (30s, 1m, 2m, ... about 1h in total)
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// How often the worker looks for due deliveries, and how many it sends at once
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = 10;
+
+// Receivers must answer within this time
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// A claimed delivery is left alone by other workers for this long
+const LEASE_MS = 60 * 1000;
+
+// Finished deliveries stay in the delivery log for this many days
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+// Only the start of a receiver's response is kept in the delivery log
+const MAX_LOGGED_RESPONSE_LENGTH = 1000;
+
+// Webhooks may not target the API's own network unless explicitly allowed (local development)
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const USER_AGENT = 'demo-rest-api-webhooks/1.0';
+
+// Helper function to check whether an IP address is loopback, private or link-local
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) {
+    return isPrivateAddress(lower.slice(7));
+  }
+  return lower === '::' || lower === '::1' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+};
+
+/**
+ * Checks that a URL can be used as a webhook endpoint: http(s), and not a
+ * loopback, private or link-local address (unless WEBHOOK_ALLOW_PRIVATE_URLS=true).
+ * Host names are resolved and checked when a delivery is sent (see lookupPublicAddress).
+ * @param {string} url - The endpoint URL.
+ * @returns {string|null} Why the URL is not allowed, or null when it is.
+ */
+export function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid http(s) URL';
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'url must be a valid http(s) URL';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!ALLOW_PRIVATE_URLS && (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host)))) {
+    return 'url must not point to a local or private network address';
+  }
+  return null;
+}
+
+/**
+ * Generates the secret a webhook's payloads are signed with.
+ * @returns {string}
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signs a payload the way receivers verify it: HMAC-SHA256 of "<timestamp>.<body>"
+ * with the webhook secret, hex encoded. Sent as X-Webhook-Signature: t=<timestamp>,v1=<signature>.
+ * Receivers should recompute it over the raw body, compare in constant time and
+ * reject old timestamps to stop replays.
+ * @param {string} secret - The webhook secret.
+ * @param {number} timestamp - Unix time in seconds.
+ * @param {string} body - The raw JSON body.
+ * @returns {string} The signature.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Queues a notification for every active webhook of the event owner that is
+ * subscribed to its type. Failures are logged, not thrown, so a webhook
+ * problem never fails the request that caused the notification.
+ * @param {string} type - One of WEBHOOK_EVENT_TYPES.
+ * @param {Object} options
+ * @param {number} options.ownerId - Owner of the event the notification is about.
+ * @param {Object} options.data - Payload data.
+ */
+export function queueWebhookEvent(type, { ownerId, data }) {
+  try {
+    const webhooks = webhookModel.findSubscribers(type, ownerId);
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({ id: eventId, type, created_at: new Date().toISOString(), data });
+    webhookModel.createDeliveries(webhooks, { eventId, eventType: type, payload });
+    logger.debug('Queued webhook deliveries', { type, eventId, count: webhooks.length });
+
+    // Send right away rather than on the next poll
+    wakeWebhookWorker();
+  } catch (error) {
+    logger.error('Error queueing webhook event', { type, error });
+  }
+}
+
+// Helper function to resolve a webhook host name for the connection (the lookup
+// option of http.request). Every address is checked and the socket connects to
+// a checked one, so a changed DNS answer cannot slip in between (DNS rebinding).
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!ALLOW_PRIVATE_URLS && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a local or private network address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Helper function to POST a delivery. Uses http(s).request rather than fetch so
+// the host is resolved through lookupPublicAddress; redirects are not followed,
+// as they could lead to an address the URL check would refuse.
+const postDelivery = (url, { headers, body }) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: lookupPublicAddress
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+      if (text.length < MAX_LOGGED_RESPONSE_LENGTH) text += chunk;
+    });
+    response.on('end', () => {
+      clearTimeout(timer);
+      resolve({ status: response.statusCode, body: text.slice(0, MAX_LOGGED_RESPONSE_LENGTH) });
+    });
+    response.on('error', reject);
+  });
+
+  const timer = setTimeout(() => {
+    request.destroy(new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`));
+  }, REQUEST_TIMEOUT_MS);
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+// Helper function to get the wait before the next try (with ±10% jitter so
+// failed deliveries to one receiver do not retry in lockstep)
+const getRetryDelay = (attempt) => {
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+// Helper function to send one delivery and record the attempt
+const sendDelivery = async (delivery) => {
+  const webhook = webhookModel.findById(delivery.webhook_id);
+  const attemptedAt = new Date();
+  const attempt = delivery.attempts + 1;
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  if (!webhook || !webhook.active) {
+    error = 'Webhook is disabled';
+  } else {
+    const urlProblem = checkWebhookUrl(webhook.url);
+    if (urlProblem) {
+      error = urlProblem;
+    } else {
+      const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+      try {
+        const response = await postDelivery(webhook.url, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'X-Webhook-Event': delivery.event_type,
+            'X-Webhook-Event-Id': delivery.event_id,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, delivery.payload)}`
+          },
+          body: delivery.payload
+        });
+        responseStatus = response.status;
+        responseBody = response.body;
+        if (responseStatus < 200 || responseStatus >= 300) {
+          error = `Receiver responded with HTTP ${responseStatus}`;
+        }
+      } catch (requestError) {
+        error = requestError.message;
+      }
+    }
+  }
+
+  const canRetry = error && webhook?.active && attempt < MAX_ATTEMPTS;
+  const status = !error ? 'succeeded' : canRetry ? 'pending' : 'failed';
+  webhookModel.recordAttempt(delivery.id, {
+    attemptedAt: attemptedAt.toISOString(),
+    durationMs: Date.now() - attemptedAt.getTime(),
+    responseStatus,
+    responseBody,
+    error,
+    status,
+    nextAttemptAt: canRetry ? new Date(Date.now() + getRetryDelay(attempt)).toISOString() : null
+  });
+
+  const fields = { deliveryId: delivery.id, webhookId: delivery.webhook_id, type: delivery.event_type, attempt, responseStatus };
+  if (status === 'failed') {
+    logger.warn('Webhook delivery failed', { ...fields, reason: error });
+  } else if (status === 'pending') {
+    logger.info('Webhook delivery will be retried', { ...fields, reason: error });
+  } else {
+    logger.debug('Webhook delivered', fields);
+  }
+};
+
+let processing = false;
+
+/**
+ * Sends the deliveries that are due, in batches, until none are left. Runs one
+ * batch loop at a time per process; other processes claim different deliveries.
+ * @returns {Promise<void>}
+ */
+export async function processDueDeliveries() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    let deliveries = webhookModel.claimDueDeliveries(BATCH_SIZE, LEASE_MS);
+    while (deliveries.length > 0) {
+      await Promise.all(deliveries.map(delivery => sendDelivery(delivery).catch(error => {
+        logger.error('Error sending webhook delivery', { deliveryId: delivery.id, error });
+      })));
+      deliveries = webhookModel.claimDueDeliveries(BATCH_SIZE, LEASE_MS);
+    }
+  } catch (error) {
+    logger.error('Error processing webhook deliveries', { error });
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Sends due deliveries right away instead of on the next poll (e.g. after
+ * queueing one). Delivery logs are not attributed to the calling request.
+ */
+export function wakeWebhookWorker() {
+  runOutsideLogContext(() => setImmediate(processDueDeliveries));
+}
+
+// Helper function to drop finished deliveries older than the retention period
+const pruneDeliveryLog = () => {
+  try {
+    const before = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const deletedCount = webhookModel.deleteCompletedDeliveries(before);
+    if (deletedCount > 0) {
+      logger.info('Pruned webhook delivery log', { deletedCount });
+    }
+  } catch (error) {
+    logger.error('Error pruning webhook delivery log', { error });
+  }
+};
+
+/**
+ * Starts sending queued webhook deliveries in the background: it polls for due
+ * deliveries (retries and anything queued by other processes) and prunes the
+ * delivery log once a day. Call once at startup.
+ */
+export function startWebhookWorker() {
+  setInterval(processDueDeliveries, POLL_INTERVAL_MS).unref();
+  setInterval(pruneDeliveryLog, 24 * 60 * 60 * 1000).unref();
+  pruneDeliveryLog();
+  processDueDeliveries();
+}